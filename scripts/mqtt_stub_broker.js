@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * MQTT Stub Broker (development)
+ * Tiny single-purpose broker for trying the server's MQTT sensor input without
+ * a real broker: accepts every client, acknowledges subscriptions and publishes
+ * the given payloads to each subscribed topic in turn.
+ *
+ *   node scripts/mqtt_stub_broker.js --port 18830 --values '{"distance": 95}',42.5
+ *   node src/node/server.js --tank tank.json --mqtt mqtt://127.0.0.1:18830
+ *
+ * --split sends every PUBLISH in two TCP chunks, --malformed sends a packet with
+ * a 5-byte remaining length after subscribing (the client must drop the connection).
+ */
+
+import net from 'node:net';
+import { parseArgs } from 'node:util';
+import { PACKET, encodePacket, encodeString } from '../src/node/mqtt.js';
+
+const USAGE = `MQTT-Stub-Broker für die Entwicklung
+
+Aufruf: node scripts/mqtt_stub_broker.js [Optionen]
+  
+  --port <port>         Port (Standard: 1883)
+  --values <liste>      Nutzdaten, durch Komma getrennt; JSON-Objekte bleiben ganz
+                        (Standard: {"distance": 95})
+  --interval <sek>      Abstand zwischen zwei Nachrichten (Standard: 5)
+  --split               Jede Nachricht in zwei TCP-Teilen senden
+  --malformed           Nach dem Abonnieren ein Paket mit ungültiger Länge senden
+  --help                Diese Hilfe`;
+
+/**
+ * Payload list from "a,b,{...}" without splitting inside JSON objects
+ */
+function splitValues(text) {
+    return text.match(/\{[^}]*\}|[^,]+/g)?.map(value => value.trim()).filter(Boolean) || [];
+}
+
+class StubBroker {
+    constructor({ port, values, intervalMs, split, malformed }) {
+        this.port = port;
+        this.values = values;
+        this.intervalMs = intervalMs;
+        this.split = split;
+        this.malformed = malformed;
+    }
+    
+    start() {
+        const server = net.createServer(socket => this.accept(socket));
+        server.listen(this.port, '127.0.0.1', () => console.log(`📡 Stub-Broker auf mqtt://127.0.0.1:${this.port}`));
+        return server;
+    }
+    
+    accept(socket) {
+        let buffer = Buffer.alloc(0);
+        const timers = [];
+        
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            
+            // Client packets are small: one length byte is enough for CONNECT, SUBSCRIBE and PINGREQ
+            while (buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+                const type = buffer[0] >> 4;
+                const body = buffer.subarray(2, 2 + buffer[1]);
+                buffer = buffer.subarray(2 + buffer[1]);
+                this.handle(socket, type, body, timers);
+            }
+        });
+        socket.on('error', (error) => console.warn(`Verbindung: ${error.message}`));
+        socket.on('close', () => {
+            timers.forEach(timer => clearInterval(timer));
+            console.log('Client getrennt');
+        });
+    }
+    
+    handle(socket, type, body, timers) {
+        if (type === PACKET.CONNECT) {
+            const clientId = body.subarray(12, 12 + body.readUInt16BE(10)).toString('utf8');
+            console.log(`CONNECT ${clientId}`);
+            socket.write(encodePacket(PACKET.CONNACK << 4, Buffer.from([0, 0])));
+        } else if (type === PACKET.SUBSCRIBE) {
+            const topic = body.subarray(4, 4 + body.readUInt16BE(2)).toString('utf8');
+            console.log(`SUBSCRIBE ${topic}`);
+            socket.write(encodePacket(PACKET.SUBACK << 4, Buffer.from([body[0], body[1], 0])));
+            
+            if (this.malformed) {
+                console.log('→ Paket mit 5-Byte-Länge');
+                socket.write(Buffer.from([PACKET.PUBLISH << 4, 0xFF, 0xFF, 0xFF, 0xFF, 0x01]));
+                return;
+            }
+            
+            let next = 0;
+            const publish = () => {
+                const value = this.values[next++ % this.values.length];
+                const packet = encodePacket(PACKET.PUBLISH << 4, Buffer.concat([encodeString(topic), Buffer.from(value, 'utf8')]));
+                console.log(`→ ${topic}: ${value}`);
+                
+                if (this.split) {
+                    socket.write(packet.subarray(0, 3));
+                    setTimeout(() => socket.writable && socket.write(packet.subarray(3)), 100);
+                } else {
+                    socket.write(packet);
+                }
+            };
+            publish();
+            timers.push(setInterval(publish, this.intervalMs));
+        } else if (type === PACKET.PINGREQ) {
+            socket.write(encodePacket(PACKET.PINGRESP << 4));
+        } else if (type === PACKET.DISCONNECT) {
+            socket.end();
+        }
+    }
+}
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '1883' },
+        values: { type: 'string', default: '{"distance": 95}' },
+        interval: { type: 'string', default: '5' },
+        split: { type: 'boolean', default: false },
+        malformed: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+    }
+});
+
+if (options.help) {
+    console.log(USAGE);
+} else {
+    new StubBroker({
+        port: Number(options.port),
+        values: splitValues(options.values),
+        intervalMs: Number(options.interval) * 1000,
+        split: options.split,
+        malformed: options.malformed
+    }).start();
+}
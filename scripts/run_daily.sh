@@ -1,10 +1,13 @@
 #!/bin/bash
 # Daily Oil Price Tracker Runner
-# Sends alerts via OpenClaw session
+# Sends alerts via OpenClaw session, then writes forecast and purchase
+# recommendation for the tank in $HEIZOEL_TANK_FILE (profile or app backup)
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PYTHON_SCRIPT="$SCRIPT_DIR/oil_price_tracker.py"
 ALERT_FILE="/tmp/oil_price_alerts.json"
+TANK_FILE="${HEIZOEL_TANK_FILE:-$HOME/.heizoel/tank.json}"
+RECOMMENDATION_FILE="/tmp/heizoel_recommendation.json"
 
 # Run the tracker and capture alerts
 cd "$SCRIPT_DIR/../"
@@ -19,4 +22,21 @@ if [ $EXIT_CODE -eq 1 ] && [ -f "$ALERT_FILE" ]; then
     cat "$ALERT_FILE" >> /tmp/oil_price_tracker.log
 fi
 
+# Forecast and recommendation from the region's prices and the new market quotes
+# (without a tank file only the forecast is meaningful)
+CLI_ARGS=()
+if [ -f "$TANK_FILE" ]; then
+    CLI_ARGS=(--tank "$TANK_FILE")
+fi
+
+if command -v node > /dev/null; then
+    if node src/node/cli.js "${CLI_ARGS[@]}" --output json > "$RECOMMENDATION_FILE" 2>> /tmp/oil_price_tracker.log; then
+        node src/node/cli.js "${CLI_ARGS[@]}" >> /tmp/oil_price_tracker.log 2>&1
+    else
+        echo "⚠️ Recommendation failed (see above)" >> /tmp/oil_price_tracker.log
+    fi
+else
+    echo "⚠️ node not found - skipping recommendation" >> /tmp/oil_price_tracker.log
+fi
+
 exit $EXIT_CODE
\ No newline at end of file
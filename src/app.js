@@ -4,15 +4,40 @@
  */
 
 import { CONFIG } from './modules/config.js';
-import { state } from './modules/state.js';
+import { state, persistKeys } from './modules/state.js';
 import { storage } from './modules/storage.js';
 import { dataService } from './modules/data-service.js';
 import { forecastEngine } from './modules/forecast.js';
-import { recommendationEngine } from './modules/recommendation.js';
+import './modules/recommendation.js'; // derived state key 'recommendation'
+import { consumptionAnalyzer } from './modules/consumption.js';
+import { purchaseLedger } from './modules/purchases.js';
+import { backtester } from './modules/backtest.js';
+import { supplierPricing } from './modules/pricing.js';
+import { regionRegistry } from './modules/regions.js';
+import { tankPortfolio } from './modules/tanks.js';
+import { tankShapes } from './modules/tank-shapes.js';
+import { degreeDays } from './modules/degree-days.js';
+import { backup } from './modules/backup.js';
+import { priceAlerts } from './modules/alerts.js';
+import { priceSources } from './modules/price-sources.js';
+import { resampler } from './modules/resampling.js';
+import { refreshScheduler } from './modules/refresh-scheduler.js';
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape user-supplied text (tank names, suppliers, imported files) for innerHTML
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
 
 class HeizolOptimizer {
     constructor() {
         this.chart = null;
+        this.regionPrices = new Map();
+        this.pendingImport = null;
+        this.initialized = false;
         console.log(`🛢️ ${CONFIG.app.name} v${CONFIG.app.version} wird initialisiert...`);
     }
     
@@ -20,60 +45,422 @@ class HeizolOptimizer {
      * Initialize the application
      */
     async init() {
-        // Load persisted tank data
-        this.loadTankData();
+        // Region, forecast model and supplier options
+        this.setupSelectors();
         
         // Setup state subscriptions
         this.setupSubscriptions();
         
+        // Tanks, deliveries and settings are saved whenever they change
+        this.setupPersistence();
+        
+        // Load persisted tanks, deliveries and settings
+        this.loadState();
+        
         // Setup event listeners
         this.setupEventListeners();
+        this.setupUndo();
         
-        // Load price data
-        await dataService.loadPriceData();
+        // Offline support (installable PWA)
+        this.registerServiceWorker();
         
-        // Generate forecast
-        forecastEngine.generateForecast();
+        // Load price data (market data for leading indicators is optional)
+        await Promise.all([
+            dataService.loadPriceData(),
+            dataService.loadMarketData()
+        ]);
         
-        // Create chart
+        // Create chart (forecast and recommendation are derived state and update themselves)
         this.createChart();
         
-        // Update recommendation
-        this.updateRecommendation();
+        // Evaluate purchase ledger against loaded prices
+        this.updatePurchaseLedger();
+        
+        // Combined view over all tanks
+        this.updateTankOverview();
         
+        // Degree-day fit from imported temperatures
+        this.updateWeatherInfo();
+        
+        // Price alerts: on startup and after every refresh
+        this.setupAlertForm();
+        this.checkAlerts();
+        dataService.onRefresh(() => this.checkAlerts());
+        
+        // Background refresh every CONFIG.data.refreshIntervalMs
+        refreshScheduler.start(() => this.refreshData({ silent: true }));
+        
+        this.initialized = true;
         console.log('✅ Heizöl-Optimizer bereit!');
     }
     
     /**
-     * Load tank data from storage
+     * Load tanks, active tank, deliveries and settings from storage into state
+     * @param {Object} options - e.g. { undoable: true, label } after an import
      */
-    loadTankData() {
-        const data = storage.loadTankData();
-        if (data.volume && data.currentLevel) {
-            state.set('tankVolume', data.volume);
-            state.set('tankLevel', data.currentLevel);
-            
-            // Update inputs
-            document.getElementById('tankVolume').value = data.volume;
-            document.getElementById('currentLevel').value = data.currentLevel;
+    loadState(options = {}) {
+        state.update({
+            tanks: storage.loadTanks(),
+            activeTankId: storage.getActiveTankId(),
+            purchases: storage.loadPurchases(),
+            settings: storage.loadSettings(),
+            temperatures: storage.loadTemperatures()
+        }, { persist: false, ...options });
+    }
+    
+    /**
+     * State is the source of truth; these keys are written to storage on every
+     * change, including undo/redo
+     */
+    setupPersistence() {
+        state.use(persistKeys({
+            tanks: (tanks) => storage.saveTanks(tanks),
+            activeTankId: (tankId) => storage.setActiveTank(tankId),
+            purchases: (purchases) => storage.savePurchases(purchases),
+            settings: (settings) => storage.saveSettings(settings),
+            temperatures: (temperatures) => storage.saveTemperatures(temperatures)
+        }));
+    }
+    
+    /**
+     * Show the active tank and follow its region
+     */
+    syncActiveTank() {
+        const tanks = state.get('tanks');
+        const tank = tanks.find(t => t.id === state.get('activeTankId')) || tanks[0];
+        if (!tank) return;
+        
+        this.applyTank(tank);
+        this.updateTankSelect();
+        
+        if (tank.region !== regionRegistry.regionId && regionRegistry.setRegion(tank.region)) {
+            document.getElementById('region').value = tank.region;
+            if (this.initialized) this.refreshData();
+        }
+    }
+    
+    /**
+     * Put a tank profile into state and the form
+     */
+    applyTank(tank) {
+        state.update({
+            levelHistory: tank.levelHistory || [],
+            tankVolume: tank.volume,
+            tankLevel: tank.currentLevel,
+            tankShape: tank.shape || null
+        });
+        
+        // Update inputs
+        document.getElementById('tankName').value = tank.name || '';
+        document.getElementById('tankProperty').value = tank.property || '';
+        document.getElementById('tankVolume').value = tank.volume ?? '';
+        document.getElementById('currentLevel').value = tank.currentLevel ?? '';
+        document.getElementById('levelUnit').value = 'liters';
+        document.getElementById('tankShape').value = tank.shape?.type || '';
+        document.getElementById('tankHeight').value = tank.shape?.heightCm ?? '';
+        document.getElementById('tankUnits').value = tank.shape?.units ?? '';
+        document.getElementById('tankTable').value = tankShapes.formatTable(tank.shape?.table);
+        this.updateShapeFields();
+    }
+    
+    /**
+     * Show the inputs the selected tank shape needs
+     */
+    updateShapeFields() {
+        const type = document.getElementById('tankShape').value;
+        const shape = tankShapes.list().find(s => s.id === type);
+        
+        document.getElementById('tankHeightGroup').hidden = !shape?.heightLabel;
+        document.getElementById('tankHeightLabel').textContent = shape?.heightLabel || '';
+        document.getElementById('tankUnitsGroup').hidden = type !== 'battery';
+        document.getElementById('tankTableGroup').hidden = type !== 'table';
+        this.updateLevelHint();
+    }
+    
+    /**
+     * Tank shape from the form (null if none is selected)
+     */
+    readShape() {
+        const type = document.getElementById('tankShape').value;
+        if (!type) return null;
+        if (type === 'table') return { type, table: tankShapes.parseTable(document.getElementById('tankTable').value) };
+        
+        return {
+            type,
+            heightCm: parseFloat(document.getElementById('tankHeight').value),
+            ...(type === 'battery' && { units: parseInt(document.getElementById('tankUnits').value) })
+        };
+    }
+    
+    /**
+     * Volume, shape and level from the form; a dipstick height is converted to liters first
+     */
+    readTankForm() {
+        const volume = parseInt(document.getElementById('tankVolume').value);
+        const shape = this.readShape();
+        const errors = shape ? tankShapes.validateShape(shape).errors : [];
+        let level = parseInt(document.getElementById('currentLevel').value);
+        
+        if (document.getElementById('levelUnit').value === 'cm') {
+            if (!shape) {
+                errors.push('Für die Peilhöhe in cm bitte zuerst die Tankform angeben');
+            } else if (!errors.length) {
+                const converted = tankShapes.toLiters(shape, parseFloat(document.getElementById('currentLevel').value), volume);
+                level = converted.level;
+                errors.push(...converted.errors);
+            }
+        }
+        
+        return { volume, shape, level, errors };
+    }
+    
+    /**
+     * Liters for a dipstick height, shown below the level input
+     */
+    updateLevelHint() {
+        const hint = document.getElementById('levelHint');
+        if (document.getElementById('levelUnit').value !== 'cm' || document.getElementById('currentLevel').value === '') {
+            hint.textContent = '';
+            return;
+        }
+        
+        const { level, errors } = this.readTankForm();
+        hint.textContent = errors.length ? errors[0] : `≈ ${level.toLocaleString('de-AT')} Liter`;
+    }
+    
+    /**
+     * Populate the tank selector
+     */
+    updateTankSelect() {
+        const select = document.getElementById('tankProfile');
+        select.innerHTML = state.get('tanks')
+            .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.property ? ` (${escapeHtml(t.property)})` : ''}</option>`)
+            .join('');
+        select.value = state.get('activeTankId');
+    }
+    
+    /**
+     * Switch to another tank; prices are reloaded if its region differs
+     */
+    switchTank(tankId) {
+        if (!state.get('tanks').some(t => t.id === tankId)) return;
+        state.set('activeTankId', tankId);
+    }
+    
+    /**
+     * Create a tank profile from the form and switch to it
+     */
+    createTank() {
+        const statusDiv = document.getElementById('tankStatus');
+        const { volume, shape, level, errors } = this.readTankForm();
+        const profile = {
+            name: document.getElementById('tankName').value,
+            property: document.getElementById('tankProperty').value,
+            region: regionRegistry.regionId,
+            volume,
+            currentLevel: level,
+            shape
+        };
+        
+        const validation = errors.length ? { valid: false, errors } : storage.validateTankProfile(profile);
+        if (!validation.valid) {
+            this.showStatus(statusDiv, validation.errors[0], 'error');
+            return;
         }
-        this.updateTankVisual();
+        
+        const tank = storage.buildTank(profile);
+        state.update({
+            tanks: [...state.get('tanks'), tank],
+            activeTankId: tank.id
+        }, { undoable: true, label: `Tank „${tank.name}“ anlegen` });
+        this.showStatus(statusDiv, `✓ Tank „${tank.name}“ angelegt!`, 'success');
+    }
+    
+    /**
+     * Delete the active tank profile including its level history
+     */
+    removeTank() {
+        const statusDiv = document.getElementById('tankStatus');
+        const tanks = state.get('tanks');
+        const tank = tanks.find(t => t.id === state.get('activeTankId'));
+        
+        if (tanks.length <= 1) {
+            this.showStatus(statusDiv, 'Mindestens ein Tank muss bestehen bleiben', 'error');
+            return;
+        }
+        
+        if (!confirm(`Tank „${tank.name}“ mit allen Ablesungen löschen?`)) return;
+        
+        const remaining = tanks.filter(t => t.id !== tank.id);
+        state.update({
+            tanks: remaining,
+            activeTankId: remaining[0].id
+        }, { undoable: true, label: `Tank „${tank.name}“ löschen` });
+        this.showStatus(statusDiv, '✓ Tank gelöscht (Rückgängig mit Strg+Z)', 'success');
+    }
+    
+    /**
+     * Populate region, model and supplier selectors
+     */
+    setupSelectors() {
+        const select = document.getElementById('forecastModel');
+        select.innerHTML = forecastEngine.getModels()
+            .map(m => `<option value="${m.id}">${m.label}</option>`)
+            .join('');
+        select.value = state.get('forecastModel');
+        
+        document.getElementById('tankShape').innerHTML = '<option value="">Nicht angegeben</option>' + tankShapes.list()
+            .map(s => `<option value="${s.id}">${s.label}</option>`)
+            .join('');
+        
+        const supplierSelect = document.getElementById('supplier');
+        supplierSelect.innerHTML = supplierPricing.list()
+            .map(s => `<option value="${s.id}">${s.name}</option>`)
+            .join('');
+        supplierSelect.value = supplierPricing.supplierId;
+        
+        const regionSelect = document.getElementById('region');
+        regionSelect.innerHTML = regionRegistry.list()
+            .map(group => `<optgroup label="${group.country}">${group.regions
+                .map(r => `<option value="${r.id}">${r.name}</option>`)
+                .join('')}</optgroup>`)
+            .join('');
+        regionSelect.value = regionRegistry.regionId;
+    }
+    
+    /**
+     * Apply forecast model and supplier from the settings
+     * (forecast and recommendation pick them up via their derived state keys)
+     */
+    applySettings(settings) {
+        supplierPricing.setSupplier(settings.supplier || CONFIG.pricing.defaultSupplier);
+        document.getElementById('forecastModel').value = state.get('forecastModel');
+        document.getElementById('supplier').value = supplierPricing.supplierId;
+    }
+    
+    /**
+     * Switch the active tank's region (prices are reloaded by syncActiveTank)
+     */
+    changeRegion(regionId) {
+        if (!regionRegistry.getRegion(regionId)) return;
+        
+        const tankId = state.get('activeTankId');
+        state.set('tanks', state.get('tanks').map(t => t.id === tankId ? { ...t, region: regionId } : t), {
+            undoable: true,
+            label: `Region „${regionRegistry.getRegion(regionId).name}“ wählen`
+        });
+    }
+    
+    /**
+     * Switch forecast model
+     */
+    changeForecastModel(modelId) {
+        const model = forecastEngine.getModels().find(m => m.id === modelId);
+        if (!model) return;
+        
+        state.set('settings', { ...state.get('settings'), forecastModel: modelId }, {
+            undoable: true,
+            label: `Prognosemodell „${model.label}“`
+        });
+    }
+    
+    /**
+     * Switch supplier pricing model
+     */
+    changeSupplier(supplierId) {
+        const supplier = supplierPricing.list().find(s => s.id === supplierId);
+        if (!supplier) return;
+        
+        state.set('settings', { ...state.get('settings'), supplier: supplierId }, {
+            undoable: true,
+            label: `Lieferant „${supplier.name}“`
+        });
+    }
+    
+    /**
+     * Undo/redo buttons and shortcuts (Strg+Z, Strg+Y / Strg+Umschalt+Z)
+     * Inside text fields the browser's own text undo keeps working.
+     */
+    setupUndo() {
+        const undoBtn = document.getElementById('undo');
+        const redoBtn = document.getElementById('redo');
+        
+        undoBtn.addEventListener('click', () => this.undo());
+        redoBtn.addEventListener('click', () => this.redo());
+        
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
+        state.onUndoChange(({ canUndo, canRedo, undoLabel, redoLabel }) => {
+            undoBtn.disabled = !canUndo;
+            redoBtn.disabled = !canRedo;
+            undoBtn.title = canUndo ? `Rückgängig: ${undoLabel} (Strg+Z)` : 'Nichts rückgängig zu machen';
+            redoBtn.title = canRedo ? `Wiederholen: ${redoLabel} (Strg+Y)` : 'Nichts zu wiederholen';
+        });
+    }
+    
+    /**
+     * Revert the last tank, delivery or settings change
+     */
+    undo() {
+        const step = state.undo();
+        if (step) this.showStatus(document.getElementById('tankStatus'), `↶ Rückgängig: ${step.label}`, 'success');
+    }
+    
+    /**
+     * Re-apply the last undone change
+     */
+    redo() {
+        const step = state.redo();
+        if (step) this.showStatus(document.getElementById('tankStatus'), `↷ Wiederholt: ${step.label}`, 'success');
     }
     
     /**
      * Setup state subscriptions for reactive updates
      */
     setupSubscriptions() {
-        // Update recommendation when tank data changes
-        state.subscribe('tankVolume', () => this.updateRecommendation());
-        state.subscribe('tankLevel', () => {
-            this.updateRecommendation();
-            this.updateTankVisual();
+        // Derived keys: recalculated only when their inputs change
+        state.subscribe('recommendation', (recommendation) => this.updateRecommendation(recommendation));
+        state.subscribe(['fillPercent', 'tankShape'], () => this.updateTankVisual());
+        
+        // Chart is redrawn once per batch, even if prices and forecast both change
+        state.subscribe(['priceData', 'forecast'], () => this.updateChart());
+        state.subscribe('forecast', () => this.updateIndicatorInfo());
+        state.subscribe('region', () => this.updateRegionInfo());
+        state.subscribe('priceData', () => {
+            this.updateSourceInfo();
+            this.updateDataQuality();
+        });
+        
+        // Offline / cached data notice
+        state.subscribe(['dataSource', 'dataAge', 'isFallback', 'error', 'nextRefreshAt'], () => this.updateDataStatus());
+        
+        // Active tank and settings (also after undo/redo)
+        state.subscribe(['tanks', 'activeTankId'], () => this.syncActiveTank());
+        state.subscribe('settings', (settings) => this.applySettings(settings));
+        
+        // Combined view over all tanks
+        state.subscribe(['tanks', 'currentPrice'], () => this.updateTankOverview());
+        
+        // Degree-day fit and winter range (temperatures or readings changed)
+        state.subscribe('weatherModel', () => {
+            this.updateWeatherInfo();
+            this.updateTankProjection();
         });
         
-        // Update chart when price data or forecast changes
-        state.subscribe('priceData', () => this.updateChart());
-        state.subscribe('forecast', () => this.updateChart());
+        // Re-evaluate ledger when deliveries or prices change
+        state.subscribe(['purchases', 'priceData'], () => this.updatePurchaseLedger());
         
         // Handle loading state
         state.subscribe('isLoading', (loading) => {
@@ -102,6 +489,70 @@ class HeizolOptimizer {
             });
         });
         
+        // Tank shape and dipstick conversion
+        document.getElementById('tankShape').addEventListener('change', () => this.updateShapeFields());
+        ['tankVolume', 'currentLevel', 'levelUnit', 'tankHeight', 'tankUnits', 'tankTable'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateLevelHint());
+        });
+        
+        // Tank profiles
+        document.getElementById('tankProfile').addEventListener('change', (e) => {
+            this.switchTank(e.target.value);
+        });
+        document.getElementById('createTank').addEventListener('click', () => this.createTank());
+        document.getElementById('removeTank').addEventListener('click', () => this.removeTank());
+        
+        // Purchase ledger
+        document.getElementById('addPurchase').addEventListener('click', () => this.addPurchase());
+        document.getElementById('purchaseLedger').addEventListener('click', (e) => {
+            const id = e.target.dataset.removePurchase;
+            if (id) this.removePurchase(id);
+        });
+        
+        // Supplier selection
+        document.getElementById('supplier').addEventListener('change', (e) => {
+            this.changeSupplier(e.target.value);
+        });
+        
+        // Region selection
+        document.getElementById('region').addEventListener('change', (e) => {
+            this.changeRegion(e.target.value);
+        });
+        
+        // Forecast model selection
+        document.getElementById('forecastModel').addEventListener('change', (e) => {
+            this.changeForecastModel(e.target.value);
+        });
+        
+        // Price alerts
+        document.getElementById('alertType').addEventListener('change', () => this.updateAlertDefaults());
+        document.getElementById('addAlert').addEventListener('click', () => this.addAlert());
+        document.getElementById('enableNotifications').addEventListener('click', () => this.enableNotifications());
+        document.getElementById('alertRules').addEventListener('click', (e) => {
+            if (e.target.dataset.removeAlert) this.removeAlert(e.target.dataset.removeAlert);
+        });
+        document.getElementById('alertRules').addEventListener('change', (e) => {
+            if (e.target.dataset.toggleAlert) this.toggleAlert(e.target.dataset.toggleAlert, e.target.checked);
+        });
+        
+        // Export / import
+        document.getElementById('exportJson').addEventListener('click', () => this.exportData('json'));
+        document.getElementById('exportCsv').addEventListener('click', () => this.exportData('csv'));
+        document.getElementById('importFile').addEventListener('change', (e) => this.readImportFile(e.target.files[0]));
+        document.getElementById('importMode').addEventListener('change', () => this.updateImportPreview());
+        document.getElementById('applyImport').addEventListener('click', () => this.applyImport());
+        
+        // Daily temperatures for degree days
+        document.getElementById('temperatureFile').addEventListener('change', (e) => this.importTemperatures(e.target.files[0]));
+        document.getElementById('removeTemperatures').addEventListener('click', () => this.removeTemperatures());
+        
+        // Backtest
+        document.getElementById('runBacktest').addEventListener('click', () => this.runBacktest());
+        
+        // Connectivity: reload prices when back online
+        window.addEventListener('online', () => refreshScheduler.runNow());
+        window.addEventListener('offline', () => this.updateDataStatus());
+        
         // Refresh button (if exists)
         const refreshBtn = document.getElementById('refreshData');
         if (refreshBtn) {
@@ -109,57 +560,443 @@ class HeizolOptimizer {
         }
     }
     
+    /**
+     * Register the service worker (needs http(s), not file://)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('📦 Offline-Modus verfügbar'))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+    
+    /**
+     * Warn when prices are synthetic, come from the offline cache, are outdated
+     * or the last refresh failed
+     */
+    updateDataStatus() {
+        const statusDiv = document.getElementById('dataStatus');
+        const source = state.get('dataSource');
+        const fetchedAt = state.get('dataFetchedAt');
+        const dataAge = state.get('dataAge');
+        const error = state.get('error');
+        const nextRefresh = state.get('nextRefreshAt');
+        const dataDate = state.get('priceData')?.lastUpdated;
+        
+        const show = (text, className = 'data-status') => {
+            statusDiv.hidden = false;
+            statusDiv.className = className;
+            statusDiv.textContent = text;
+        };
+        const retry = nextRefresh
+            ? `, nächster Versuch um ${new Date(nextRefresh).toLocaleTimeString('de-AT', { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        const fetched = fetchedAt ? ` vom ${new Date(fetchedAt).toLocaleDateString('de-AT')} (${this.formatAge(dataAge)})` : '';
+        
+        if (state.get('isFallback')) {
+            show('⚠️ Keine Preisdaten erreichbar – angezeigt werden synthetische Beispielpreise, keine echten Marktpreise' +
+                `${retry}.`, 'data-status fallback');
+            return;
+        }
+        
+        if (source === 'cache' || !navigator.onLine) {
+            show(`📦 Offline – gespeicherte Preisdaten${fetched}` +
+                (dataDate ? `, Datenstand ${new Date(dataDate).toLocaleDateString('de-AT')}` : ''));
+            return;
+        }
+        
+        if (error) {
+            show(`⚠️ Aktualisierung fehlgeschlagen – angezeigt werden Preisdaten${fetched}${retry}.`);
+            return;
+        }
+        
+        if (dataAge > CONFIG.data.staleAfterMs) {
+            show(`🕒 Preisdaten veraltet – zuletzt geladen ${this.formatAge(dataAge)}.`);
+            return;
+        }
+        
+        statusDiv.hidden = true;
+    }
+    
+    /**
+     * "vor 5 Min." / "vor 3 Std." / "vor 2 Tagen"
+     */
+    formatAge(ms) {
+        if (ms === null || ms === undefined) return 'unbekannt';
+        
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'gerade eben';
+        if (minutes < 60) return `vor ${minutes} Min.`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `vor ${hours} Std.`;
+        
+        const days = Math.floor(hours / 24);
+        return `vor ${days} Tag${days === 1 ? '' : 'en'}`;
+    }
+    
     /**
      * Save tank data
      */
     saveTankData() {
-        const volume = parseInt(document.getElementById('tankVolume').value);
-        const level = parseInt(document.getElementById('currentLevel').value);
+        const { volume, shape, level, errors } = this.readTankForm();
         const statusDiv = document.getElementById('tankStatus');
         
-        // Validate
-        const validation = storage.validateTankData(volume, level);
+        // Validate (a height in cm is already converted to liters)
+        const validation = errors.length ? { valid: false, errors } : storage.validateTankData(volume, level);
         if (!validation.valid) {
             this.showStatus(statusDiv, validation.errors[0], 'error');
             return;
         }
         
-        // Save
-        const result = storage.saveTankData(volume, level);
-        if (result.success) {
-            state.set('tankVolume', volume);
-            state.set('tankLevel', level);
-            this.showStatus(statusDiv, '✓ Tank-Daten gespeichert!', 'success');
-        } else {
-            this.showStatus(statusDiv, result.error, 'error');
+        const tankId = state.get('activeTankId');
+        const now = new Date();
+        const tanks = state.get('tanks').map(t => t.id !== tankId ? t : {
+            ...t,
+            name: document.getElementById('tankName').value.trim() || CONFIG.tanks.defaultName,
+            property: document.getElementById('tankProperty').value.trim(),
+            volume,
+            currentLevel: level,
+            shape,
+            lastUpdate: now.toISOString(),
+            levelHistory: storage.withReading(t.levelHistory || [], level, now)
+        });
+        
+        state.set('tanks', tanks, { undoable: true, label: 'Tank-Daten speichern' });
+        this.showStatus(statusDiv, '✓ Tank-Daten gespeichert!', 'success');
+    }
+    
+    /**
+     * Record a delivery in the purchase ledger
+     */
+    addPurchase() {
+        const statusDiv = document.getElementById('purchaseStatus');
+        const purchase = {
+            date: document.getElementById('purchaseDate').value,
+            liters: parseFloat(document.getElementById('purchaseLiters').value),
+            totalPrice: parseFloat(document.getElementById('purchaseTotal').value),
+            supplier: document.getElementById('purchaseSupplier').value.trim()
+        };
+        
+        const validation = storage.validatePurchase(purchase);
+        if (!validation.valid) {
+            this.showStatus(statusDiv, validation.errors[0], 'error');
+            return;
         }
+        
+        const entry = { id: storage.createPurchaseId(), ...purchase };
+        state.set('purchases', storage.sortPurchases([...state.get('purchases'), entry]), {
+            undoable: true,
+            label: 'Lieferung erfassen'
+        });
+        ['purchaseLiters', 'purchaseTotal'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.showStatus(statusDiv, '✓ Lieferung gespeichert!', 'success');
+    }
+    
+    /**
+     * Remove a delivery from the purchase ledger
+     */
+    removePurchase(id) {
+        state.set('purchases', state.get('purchases').filter(p => p.id !== id), {
+            undoable: true,
+            label: 'Lieferung löschen'
+        });
+    }
+    
+    /**
+     * Render purchase ledger and annual totals
+     */
+    updatePurchaseLedger() {
+        const container = document.getElementById('purchaseLedger');
+        const summaryDiv = document.getElementById('purchaseSummary');
+        const evaluations = purchaseLedger.evaluateAll();
+        
+        if (!evaluations.length) {
+            container.innerHTML = '<p class="no-data">Noch keine Lieferungen erfasst</p>';
+            summaryDiv.innerHTML = '';
+            return;
+        }
+        
+        const price = (value) => value !== null ? `${value.toFixed(3)} €/L` : '--';
+        const euro = (value) => {
+            if (value === null) return '--';
+            const cls = value >= 0 ? 'positive' : 'negative';
+            return `<span class="${cls}">${value >= 0 ? '+' : ''}${value.toFixed(0)} €</span>`;
+        };
+        
+        const rows = [...evaluations].reverse().map(e => `
+            <tr>
+                <td>${new Date(e.date).toLocaleDateString('de-AT')}</td>
+                <td>${escapeHtml(e.supplier || '--')}</td>
+                <td>${e.liters.toLocaleString('de-AT')} L</td>
+                <td>${price(e.effectivePrice)}</td>
+                <td>${price(e.marketPrice)}</td>
+                <td>${e.recommended ? `${e.recommended.month} ${e.recommended.year}${e.followedRecommendation ? ' ✓' : ''}` : '--'}</td>
+                <td>${euro(e.savingsVsMarket)}</td>
+                <td>${euro(e.savingsVsRecommendation)}</td>
+                <td><button class="btn-icon" data-remove-purchase="${e.id}" title="Entfernen">🗑️</button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Datum</th><th>Lieferant</th><th>Menge</th><th>Bezahlt</th>
+                        <th>Marktpreis</th><th>Empfehlung damals</th>
+                        <th>vs. Markt</th><th>vs. Empfehlung</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        
+        summaryDiv.innerHTML = purchaseLedger.getAnnualSummary().map(y => `
+            <div class="summary-item">
+                <strong>${y.year}: ${y.totalCost.toLocaleString('de-AT', { maximumFractionDigits: 0 })} €</strong>
+                ${y.liters.toLocaleString('de-AT')} L in ${y.deliveries} Lieferung(en) · Ø ${price(y.averagePrice)}<br>
+                vs. Markt ${euro(y.savingsVsMarket)} · vs. Empfehlung ${euro(y.savingsVsRecommendation)}
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Combined demand of all tanks and joint order proposals
+     */
+    async updateTankOverview() {
+        const container = document.getElementById('tankOverview');
+        const jointDiv = document.getElementById('jointOrder');
+        const tanks = state.get('tanks');
+        
+        // Current price per region; other regions are fetched once per refresh
+        const prices = {};
+        for (const regionId of new Set(tanks.map(t => t.region))) {
+            if (regionId === regionRegistry.regionId) {
+                prices[regionId] = state.get('currentPrice');
+            } else {
+                if (!this.regionPrices.has(regionId)) {
+                    this.regionPrices.set(regionId, await dataService.loadRegionPrice(regionId));
+                }
+                prices[regionId] = this.regionPrices.get(regionId);
+            }
+        }
+        
+        const summary = tankPortfolio.summarize(tanks, prices);
+        const liters = (value) => value !== null && value !== undefined ? `${Math.round(value).toLocaleString('de-AT')} L` : '--';
+        const euro = (value) => `${value.toLocaleString('de-AT', { maximumFractionDigits: 0 })} €`;
+        
+        const rows = summary.tanks.map(t => `
+            <tr>
+                <td>${t.id === state.get('activeTankId') ? '▶ ' : ''}${escapeHtml(t.name)}</td>
+                <td>${escapeHtml(t.property)}</td>
+                <td>${escapeHtml(regionRegistry.getRegion(t.region)?.name || t.region)}</td>
+                <td>${liters(t.currentLevel)} / ${liters(t.volume)}</td>
+                <td>${t.fillPercent !== null ? `${t.fillPercent.toFixed(0)}%` : '--'}</td>
+                <td>${t.litersPerDay ? `${t.litersPerDay.toFixed(1)} L/Tag` : '--'}</td>
+                <td>${t.weeksLeft !== null ? `${Math.floor(t.weeksLeft)} Wo.` : '--'}</td>
+                <td>${t.due ? liters(t.freeLiters) : '--'}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Tank</th><th>Objekt</th><th>Region</th><th>Füllstand</th>
+                        <th>%</th><th>Verbrauch</th><th>Reichweite</th><th>Bedarf</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="3">Gesamt</th>
+                        <th>${liters(summary.totalLevel)} / ${liters(summary.totalVolume)}</th>
+                        <th></th>
+                        <th>${summary.litersPerDay ? `${summary.litersPerDay.toFixed(1)} L/Tag` : '--'}</th>
+                        <th></th>
+                        <th>${liters(summary.totalFree)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+        
+        if (!summary.jointOrders.length) {
+            jointDiv.innerHTML = tanks.length > 1
+                ? '<p class="no-data">Keine Sammelbestellung möglich (weniger als zwei Tanks mit Bedarf je Region)</p>'
+                : '';
+            return;
+        }
+        
+        jointDiv.innerHTML = summary.jointOrders.map(order => `
+            <div class="summary-item">
+                <strong>${order.worthIt ? '✅ Sammelbestellung' : 'ℹ️ Getrennt bestellen'} · ${order.regionName}</strong>
+                ${liters(order.liters)} für ${order.tankIds.length} Tanks (${order.drops} Abladestelle${order.drops > 1 ? 'n' : ''})
+                · Ø ${order.joint.effectivePrice.toFixed(3)} €/L<br>
+                Gemeinsam ${euro(order.joint.total)} vs. einzeln ${euro(order.separateTotal)}
+                ${order.separateValid ? '' : ' (einzeln teils unter Mindestmenge)'}
+                ${order.savings > 0 ? ` · Ersparnis ${euro(order.savings)}` : ''}
+            </div>
+        `).join('');
     }
     
     /**
      * Update tank visual display
      */
     updateTankVisual() {
-        const tankFill = document.getElementById('tankFill');
+        const tankBars = document.getElementById('tankBars');
         const tankPercent = document.getElementById('tankPercent');
         
-        const volume = state.get('tankVolume');
-        const level = state.get('tankLevel');
+        const percent = state.get('fillPercent');
+        const shape = state.get('tankShape');
         
-        if (!volume || level === null) {
-            tankFill.style.height = '0%';
+        // One bar per container of a battery tank; rebuilt only when the shape changes (keeps the transition)
+        const type = shape?.type || 'upright';
+        const units = type === 'battery' ? shape.units : 1;
+        if (tankBars.dataset.shape !== `${type}:${units}`) {
+            tankBars.dataset.shape = `${type}:${units}`;
+            tankBars.innerHTML = `<div class="tank-bar shape-${type}"><div class="tank-fill"></div></div>`.repeat(units);
+        }
+        const fills = tankBars.querySelectorAll('.tank-fill');
+        
+        if (percent === null) {
+            fills.forEach(fill => { fill.style.height = '0%'; });
             tankPercent.textContent = '--% gefüllt';
             return;
         }
         
-        const percent = Math.round((level / volume) * 100);
-        
-        tankFill.style.height = percent + '%';
+        // The fill height follows the tank geometry, not the volume share
+        const height = tankShapes.fillHeight(shape, state.get('tankLevel'), state.get('tankVolume')) * 100;
         tankPercent.textContent = percent + '% gefüllt';
         
-        // Color based on level
-        tankFill.classList.remove('low', 'medium');
-        if (percent < 20) tankFill.classList.add('low');
-        else if (percent < 40) tankFill.classList.add('medium');
+        fills.forEach(fill => {
+            fill.style.height = `${height.toFixed(1)}%`;
+            
+            // Color based on level
+            fill.classList.remove('low', 'medium');
+            if (percent < 20) fill.classList.add('low');
+            else if (percent < 40) fill.classList.add('medium');
+        });
+        
+        this.updateTankProjection();
+    }
+    
+    /**
+     * Update empty/reorder date projection next to the tank visual
+     */
+    updateTankProjection() {
+        const container = document.getElementById('tankProjection');
+        if (!container) return;
+        
+        const analysis = consumptionAnalyzer.analyze();
+        
+        if (!analysis.litersPerDay) {
+            container.innerHTML = `<span class="hint">Verbrauch: mind. 2 Ablesungen über ${CONFIG.consumption.minSpanDays} Tage nötig</span>`;
+            return;
+        }
+        
+        const format = (date) => new Date(date).toLocaleDateString('de-AT', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const range = analysis.weather
+            ? `<span class="hint">Leer: kalter Winter ${format(analysis.weather.scenarios.cold.emptyDate)}, milder ${format(analysis.weather.scenarios.mild.emptyDate)}</span>`
+            : '';
+        
+        container.innerHTML = `
+            <span>🔥 ${analysis.litersPerDay.toFixed(1)} L/Tag${analysis.weather ? ' (diesen Monat)' : ''}</span>
+            <span>⛽ Leer ca. ${format(analysis.emptyDate)}</span>
+            <span>📅 Bestellen bis ${format(analysis.reorderDate)}</span>
+            ${range}
+        `;
+    }
+    
+    /**
+     * Read a CSV of daily mean temperatures into state (persisted, undoable)
+     */
+    async importTemperatures(file) {
+        const statusDiv = document.getElementById('weatherStatus');
+        if (!file) return;
+        
+        let parsed;
+        try {
+            parsed = degreeDays.parseTemperatures(await file.text());
+        } catch (error) {
+            parsed = { days: [], errors: [`Datei nicht lesbar: ${error.message}`] };
+        }
+        
+        if (!parsed.days.length) {
+            this.showStatus(statusDiv, parsed.errors[0], 'error');
+            return;
+        }
+        
+        const station = document.getElementById('weatherStation').value.trim() || file.name.replace(/\.[^.]+$/, '');
+        state.set('temperatures', { station, days: parsed.days }, { undoable: true, label: 'Temperaturen importieren' });
+        
+        const skipped = parsed.errors.length ? ` (${parsed.errors.length} Zeilen übersprungen, z.B. ${parsed.errors[0]})` : '';
+        this.showStatus(statusDiv, `✓ ${parsed.days.length} Tageswerte übernommen${skipped}`, 'success');
+    }
+    
+    /**
+     * Forget the imported temperatures (back to the flat consumption rate)
+     */
+    removeTemperatures() {
+        if (!state.get('temperatures')) return;
+        state.set('temperatures', null, { undoable: true, label: 'Temperaturen entfernen' });
+        this.showStatus(document.getElementById('weatherStatus'), '✓ Temperaturen entfernt', 'success');
+    }
+    
+    /**
+     * Fitted liters per degree day and the cold/mild winter range
+     */
+    updateWeatherInfo() {
+        const container = document.getElementById('weatherInfo');
+        const model = state.get('weatherModel');
+        
+        if (!model) {
+            container.innerHTML = '<p class="no-data">Keine Temperaturdaten importiert</p>';
+            return;
+        }
+        
+        const format = (date) => new Date(date).toLocaleDateString('de-AT');
+        const liters = (value) => `${value.toLocaleString('de-AT')} L`;
+        const items = [`
+            <div class="summary-item">
+                <strong>${escapeHtml(model.station || 'Station')}</strong>
+                ${model.dayCount.toLocaleString('de-AT')} Tage, ${format(model.from)} – ${format(model.to)}
+            </div>
+        `];
+        
+        items.push(model.fit ? `
+            <div class="summary-item">
+                <strong>${model.fit.litersPerDegreeDay.toFixed(2)} L je Heizgradtag</strong>
+                + ${model.fit.baseLitersPerDay.toFixed(1)} L/Tag Grundlast (aus ${model.fit.intervals} Ablesungsintervallen)
+            </div>
+        ` : `
+            <div class="summary-item">
+                <strong>Noch keine Anpassung</strong>
+                Mind. ${CONFIG.degreeDays.minIntervals} Verbrauchsintervalle zwischen Ablesungen im Zeitraum der Temperaturdaten nötig
+                (bisher ${model.intervals})
+            </div>
+        `);
+        
+        if (!model.climatology) {
+            items.push(`
+                <div class="summary-item">
+                    <strong>Zu kurze Reihe</strong>
+                    Für die Klimatologie braucht jeder Kalendermonat mindestens ein fast vollständiges Jahr
+                </div>
+            `);
+        } else if (model.usable) {
+            const season = degreeDays.seasonUsage(model);
+            items.push(`
+                <div class="summary-item">
+                    <strong>Heizsaison ${liters(season.mild)} – ${liters(season.cold)}</strong>
+                    milder bis kalter Winter, im Mittel ${liters(season.expected)} (${model.years} Jahr${model.years === 1 ? '' : 'e'} je Monat)
+                </div>
+            `);
+        }
+        
+        container.innerHTML = items.join('');
     }
     
     /**
@@ -181,62 +1018,135 @@ class HeizolOptimizer {
         const ctx = document.getElementById('priceChart').getContext('2d');
         const chartData = forecastEngine.getChartData();
         
-        if (!chartData) return;
+        // Chart.js missing when offline before the service worker cached it
+        if (!chartData || typeof Chart === 'undefined') return;
+        
+        this.registerDateInteraction();
         
         this.chart = new Chart(ctx, {
             type: 'line',
             data: {
-                datasets: [
-                    {
-                        label: 'Historische Preise',
-                        data: chartData.historical,
-                        borderColor: '#3b82f6',
-                        borderWidth: 2,
-                        tension: 0.3,
-                        fill: false,
-                        pointRadius: 3,
-                        pointHoverRadius: 6
-                    },
-                    {
-                        label: 'Erwarteter Preis',
-                        data: chartData.expected,
-                        borderColor: '#8b5cf6',
-                        borderWidth: 2,
-                        borderDash: [5, 5],
-                        tension: 0.3,
-                        fill: false,
-                        pointRadius: 0
-                    },
-                    {
-                        label: 'Best-Case',
-                        data: chartData.bestCase,
-                        borderColor: '#10b981',
-                        borderWidth: 1,
-                        borderDash: [3, 3],
-                        tension: 0.3,
-                        fill: false,
-                        pointRadius: 0
-                    },
-                    {
-                        label: 'Worst-Case',
-                        data: chartData.worstCase,
-                        borderColor: '#ef4444',
-                        borderWidth: 1,
-                        borderDash: [3, 3],
-                        tension: 0.3,
-                        fill: {
-                            target: 'origin',
-                            above: 'rgba(16, 185, 129, 0.1)',
-                            below: 'rgba(239, 68, 68, 0.1)'
-                        },
-                        pointRadius: 0
-                    }
-                ]
+                datasets: this.buildDatasets(chartData)
             },
             options: this.getChartOptions()
         });
     }
     
+    /**
+     * Tooltip mode that matches points by date instead of array index
+     * Needed since raw daily/weekly history, monthly history and forecast
+     * have different numbers of points.
+     */
+    registerDateInteraction() {
+        if (Chart.Interaction.modes.date) return;
+        
+        const halfMonthMs = 15 * 24 * 60 * 60 * 1000;
+        
+        Chart.Interaction.modes.date = (chart, event) => {
+            const { x } = Chart.helpers.getRelativePosition(event, chart);
+            const scale = chart.scales.x;
+            const maxDistance = Math.abs(scale.getPixelForValue(halfMonthMs) - scale.getPixelForValue(0));
+            
+            return chart.getSortedVisibleDatasetMetas().flatMap(meta => {
+                const nearest = meta.data.reduce((best, element, index) => {
+                    const distance = Math.abs(element.x - x);
+                    return !best || distance < best.distance ? { element, index, distance } : best;
+                }, null);
+                
+                return nearest && nearest.distance <= maxDistance
+                    ? [{ element: nearest.element, datasetIndex: meta.index, index: nearest.index }]
+                    : [];
+            });
+        };
+    }
+    
+    /**
+     * Build chart datasets: history, expected, primary bounds and nested interval bands
+     */
+    buildDatasets(chartData) {
+        const datasets = [
+            {
+                label: 'Historische Preise',
+                data: chartData.historical,
+                borderColor: '#3b82f6',
+                borderWidth: 2,
+                tension: 0.3,
+                fill: false,
+                // Interpolated months (data-quality repair) drawn hollow
+                pointBackgroundColor: (ctx) => ctx.raw?.interpolated ? '#ffffff' : '#3b82f6',
+                pointRadius: 3,
+                pointHoverRadius: 6
+            },
+            ...(chartData.highResolution ? [{
+                label: `Preise (${resampler.label(chartData.granularity)})`,
+                raw: true,
+                data: chartData.highResolution,
+                borderColor: 'rgba(59, 130, 246, 0.45)',
+                borderWidth: 1,
+                tension: 0,
+                fill: false,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }] : []),
+            {
+                label: 'Erwarteter Preis',
+                data: chartData.expected,
+                borderColor: '#8b5cf6',
+                borderWidth: 2,
+                borderDash: [5, 5],
+                tension: 0.3,
+                fill: false,
+                pointRadius: 0
+            },
+            {
+                label: 'Best-Case',
+                data: chartData.bestCase,
+                borderColor: '#10b981',
+                borderWidth: 1,
+                borderDash: [3, 3],
+                tension: 0.3,
+                fill: false,
+                pointRadius: 0
+            },
+            {
+                label: 'Worst-Case',
+                data: chartData.worstCase,
+                borderColor: '#ef4444',
+                borderWidth: 1,
+                borderDash: [3, 3],
+                tension: 0.3,
+                fill: false,
+                pointRadius: 0
+            }
+        ];
+        
+        // Widest band first so narrower bands are drawn on top
+        const bandAlpha = { 95: 0.08, 80: 0.14, 50: 0.22 };
+        [...chartData.intervals]
+            .sort((a, b) => b.level - a.level)
+            .forEach(interval => {
+                const base = {
+                    band: true,
+                    borderWidth: 0,
+                    tension: 0.3,
+                    pointRadius: 0
+                };
+                
+                datasets.push(
+                    { ...base, label: `${interval.level}%-Intervall`, data: interval.lower, fill: false },
+                    {
+                        ...base,
+                        label: `${interval.level}%-Intervall`,
+                        data: interval.upper,
+                        fill: '-1',
+                        backgroundColor: `rgba(139, 92, 246, ${bandAlpha[interval.level] || 0.1})`
+                    }
+                );
+            });
+        
+        return datasets;
+    }
+    
     /**
      * Get chart options with improved tooltip
      */
@@ -244,7 +1154,7 @@ class HeizolOptimizer {
         return {
             responsive: true,
             maintainAspectRatio: false,
-            interaction: { intersect: false, mode: 'index' },
+            interaction: { intersect: false, mode: 'date' },
             plugins: {
                 title: {
                     display: true,
@@ -253,8 +1163,9 @@ class HeizolOptimizer {
                 },
                 legend: { display: false },
                 tooltip: {
-                    mode: 'index',
+                    mode: 'date',
                     intersect: false,
+                    filter: (item) => !item.dataset.band,
                     callbacks: {
                         title: (context) => {
                             if (context.length > 0) {
@@ -270,9 +1181,11 @@ class HeizolOptimizer {
                                 now.setDate(1);
                                 if (date > now) return null;
                             }
-                            const label = context.dataset.label || '';
+                            const label = context.dataset.raw
+                                ? `${context.dataset.label} ${new Date(context.parsed.x).toLocaleDateString('de-AT')}`
+                                : context.dataset.label || '';
                             const price = context.parsed.y?.toFixed(2) || '--';
-                            return `${label}: ${price} €/L`;
+                            return `${label}: ${price} €/L${context.raw?.interpolated ? ' (interpoliert)' : ''}`;
                         },
                         footer: (tooltipItems) => {
                             if (!tooltipItems.length) return '';
@@ -314,59 +1227,467 @@ class HeizolOptimizer {
         const chartData = forecastEngine.getChartData();
         if (!chartData || !this.chart) return;
         
-        this.chart.data.datasets[0].data = chartData.historical;
-        this.chart.data.datasets[1].data = chartData.expected;
-        this.chart.data.datasets[2].data = chartData.bestCase;
-        this.chart.data.datasets[3].data = chartData.worstCase;
+        this.chart.data.datasets = this.buildDatasets(chartData);
         
         this.chart.update();
     }
     
+    /**
+     * Show selected region and, if its own file is missing, the region the prices come from
+     */
+    updateRegionInfo() {
+        const region = state.get('region');
+        if (!region) return;
+        
+        document.getElementById('regionName').textContent = region.name;
+        
+        const sourceSpan = document.getElementById('regionSource');
+        if (region.sourceId === region.id) {
+            sourceSpan.textContent = '';
+            sourceSpan.className = 'region-source';
+        } else {
+            sourceSpan.textContent = `⚠️ Keine Regionaldaten – Preise: ${region.sourceName}`;
+            sourceSpan.className = 'region-source warning';
+        }
+    }
+    
+    /**
+     * Show which price source was used and which ones failed before it
+     */
+    updateSourceInfo() {
+        const container = document.getElementById('sourceInfo');
+        const info = state.get('priceData')?.metadata?.sourceInfo;
+        
+        if (!info) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const failed = (info.attempts || []).filter(a => !a.ok);
+        
+        container.innerHTML = `
+            📄 Quelle: <strong>${info.label}</strong> (${priceSources.describe(info)})
+            ${failed.length ? `<br>Nicht verfügbar: ${failed.map(a => `${escapeHtml(a.label)} – ${escapeHtml(a.error)}`).join('; ')}` : ''}
+        `;
+    }
+    
+    /**
+     * Data-quality report of the loaded price file below the chart
+     */
+    updateDataQuality() {
+        const container = document.getElementById('dataQuality');
+        const quality = state.get('priceData')?.metadata?.quality;
+        
+        if (!quality) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const { stats, issues } = quality;
+        const size = stats.points !== stats.months ? `${stats.points} Werte → ${stats.months} Monate` : `${stats.months} Monate`;
+        const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+        const repairs = [
+            stats.dropped && `${stats.dropped} verworfen`,
+            stats.duplicates && `${stats.duplicates} doppelt`,
+            stats.outliers && `${stats.outliers} Ausreißer ersetzt`,
+            stats.interpolated && `${stats.interpolated} Monate interpoliert`,
+            stats.gaps && `${stats.gaps} Lücken`
+        ].filter(Boolean);
+        
+        container.classList.toggle('warning', !quality.ok);
+        
+        if (!issues.length) {
+            container.innerHTML = `✅ Datenqualität: ${size}, keine Auffälligkeiten`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <details>
+                <summary>${quality.ok ? 'ℹ️' : '⚠️'} Datenqualität: ${size} – ${repairs.join(', ') || `${issues.length} Hinweise`}</summary>
+                <ul>
+                    ${issues.map(i => `
+                        <li>${icons[i.severity]} ${i.row ? `Zeile ${i.row}: ` : ''}${escapeHtml(i.message)}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+    
+    /**
+     * Show estimated futures pass-through below the chart
+     */
+    updateIndicatorInfo() {
+        const container = document.getElementById('indicatorInfo');
+        const indicator = state.get('forecast')?.metadata?.leadingIndicator;
+        
+        if (!indicator) {
+            container.innerHTML = state.get('marketData')
+                ? '🛢️ Vorlaufindikatoren: zu wenig Marktdaten für eine Schätzung'
+                : '';
+            return;
+        }
+        
+        const names = { BRENT_CRUDE_USD: 'Brent', HEATING_OIL_USD: 'Heizöl-Future' };
+        const name = names[indicator.code] || indicator.code;
+        const passThrough = (10 * indicator.elasticity).toFixed(1);
+        const pending = indicator.pendingChange * 100;
+        
+        container.innerHTML = `
+            🛢️ Eine 10 %-Bewegung bei ${name} zeigt sich nach ca.
+            <strong>${indicator.lagWeeks} Wochen</strong> mit ~${passThrough} % im Endkundenpreis
+            (R² ${indicator.rSquared.toFixed(2)}).
+            Noch nicht weitergegeben: <strong>${pending >= 0 ? '+' : ''}${pending.toFixed(1)} %</strong>
+        `;
+    }
+    
     /**
      * Update recommendation display
      */
-    updateRecommendation() {
+    updateRecommendation(recommendation = state.get('recommendation')) {
         const container = document.getElementById('recommendationContent');
-        const recommendation = recommendationEngine.calculate();
         
         if (recommendation.empty) {
             container.innerHTML = `<p class="no-data">${recommendation.message}</p>`;
             return;
         }
         
+        // Warnings and alarms are emphasized in their tone's color
+        const value = ({ value, tone }) => {
+            if (!tone) return escapeHtml(value);
+            const tag = tone === 'success' ? 'span' : 'strong';
+            return `<${tag} style="color: var(--${tone});">${escapeHtml(value)}</${tag}>`;
+        };
+        
         const html = recommendation.items.map(item => `
             <div class="recommendation-item ${item.urgency}">
-                <span class="recommendation-label">${item.icon} ${item.label}</span>
-                <span class="recommendation-value">${item.value}</span>
+                <span class="recommendation-label">${item.icon} ${escapeHtml(item.label)}</span>
+                <span class="recommendation-value">${value(item)}</span>
             </div>
         `).join('');
         
         container.innerHTML = html;
     }
     
+    /**
+     * Populate alert types
+     */
+    setupAlertForm() {
+        const select = document.getElementById('alertType');
+        select.innerHTML = priceAlerts.getTypes()
+            .map(t => `<option value="${t.id}">${t.label}</option>`)
+            .join('');
+        this.updateAlertDefaults();
+        this.updateAlerts();
+    }
+    
+    /**
+     * Default threshold and unit of the selected alert type
+     */
+    updateAlertDefaults() {
+        const type = priceAlerts.getTypes().find(t => t.id === document.getElementById('alertType').value);
+        document.getElementById('alertValue').value = type.defaultValue;
+        document.getElementById('alertUnit').textContent = `(${type.unit})`;
+        
+        const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+        document.getElementById('enableNotifications').hidden = permission !== 'default';
+    }
+    
+    /**
+     * Create an alert rule and check it right away
+     */
+    addAlert() {
+        const statusDiv = document.getElementById('alertStatus');
+        const type = document.getElementById('alertType').value;
+        const value = parseFloat(document.getElementById('alertValue').value);
+        
+        const validation = priceAlerts.validateRule(type, value);
+        if (!validation.valid) {
+            this.showStatus(statusDiv, validation.errors[0], 'error');
+            return;
+        }
+        
+        const result = priceAlerts.addRule(type, value);
+        if (result.success) {
+            this.showStatus(statusDiv, '✓ Alarm angelegt', 'success');
+            this.checkAlerts();
+        } else {
+            this.showStatus(statusDiv, result.error, 'error');
+        }
+    }
+    
+    /**
+     * Delete an alert rule
+     */
+    removeAlert(id) {
+        priceAlerts.removeRule(id);
+        this.updateAlerts();
+    }
+    
+    /**
+     * Pause or resume an alert rule
+     */
+    toggleAlert(id, enabled) {
+        priceAlerts.toggleRule(id, enabled);
+        if (enabled) this.checkAlerts();
+        else this.updateAlerts();
+    }
+    
+    /**
+     * Ask for notification permission
+     */
+    async enableNotifications() {
+        const statusDiv = document.getElementById('alertStatus');
+        const permission = await priceAlerts.requestPermission();
+        
+        if (permission === 'granted') {
+            this.showStatus(statusDiv, '✓ Benachrichtigungen aktiviert', 'success');
+        } else {
+            this.showStatus(statusDiv, 'Benachrichtigungen nicht erlaubt – Alarme erscheinen nur hier', 'error');
+        }
+        this.updateAlertDefaults();
+    }
+    
+    /**
+     * Check rules against the current data and show new alerts
+     */
+    checkAlerts() {
+        const triggered = priceAlerts.check();
+        
+        if (triggered.length) {
+            this.showStatus(document.getElementById('alertStatus'), `🔔 ${triggered.map(t => t.message).join(' · ')}`, 'success');
+        }
+        this.updateAlerts();
+    }
+    
+    /**
+     * Render alert rules and trigger history
+     */
+    updateAlerts() {
+        const rulesDiv = document.getElementById('alertRules');
+        const historyDiv = document.getElementById('alertHistory');
+        const rules = storage.loadAlerts();
+        const history = storage.loadAlertHistory();
+        const date = (iso) => iso ? new Date(iso).toLocaleString('de-AT', { dateStyle: 'short', timeStyle: 'short' }) : '--';
+        
+        rulesDiv.innerHTML = rules.length ? `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Aktiv</th><th>Regel</th><th>Status</th><th>Zuletzt ausgelöst</th><th></th></tr>
+                </thead>
+                <tbody>${rules.map(r => `
+                    <tr>
+                        <td><input type="checkbox" data-toggle-alert="${r.id}" ${r.enabled ? 'checked' : ''}></td>
+                        <td>${priceAlerts.describe(r)}</td>
+                        <td>${r.enabled ? (r.active ? '🔔 erfüllt' : 'wartet') : 'pausiert'}</td>
+                        <td>${date(r.lastTriggeredAt)}</td>
+                        <td><button class="btn-icon" data-remove-alert="${r.id}" title="Entfernen">🗑️</button></td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        ` : '<p class="no-data">Noch keine Alarme angelegt</p>';
+        
+        historyDiv.innerHTML = history.length ? `
+            <strong>Ausgelöste Alarme</strong>
+            <ul>${[...history].reverse().slice(0, 10).map(h => `<li>${date(h.date)}: ${escapeHtml(h.message)}</li>`).join('')}</ul>
+        ` : '';
+    }
+    
+    /**
+     * Download all user data as JSON or CSV
+     */
+    exportData(format) {
+        const content = format === 'csv' ? backup.toCSV() : backup.toJSON();
+        const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+        const date = new Date().toISOString().split('T')[0];
+        
+        // BOM so spreadsheet apps detect UTF-8 (umlauts)
+        const blob = new Blob([format === 'csv' ? '\uFEFF' + content : content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `heizoel-optimizer-${date}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Parse and validate a selected backup file, then show the preview
+     */
+    async readImportFile(file) {
+        this.pendingImport = null;
+        if (!file) {
+            this.updateImportPreview();
+            return;
+        }
+        
+        try {
+            const data = backup.parse(await file.text());
+            const validation = backup.validate(data);
+            this.pendingImport = { data, validation };
+        } catch (error) {
+            this.pendingImport = { data: null, validation: { valid: false, errors: [`Datei nicht lesbar: ${error.message}`] } };
+        }
+        
+        this.updateImportPreview();
+    }
+    
+    /**
+     * Show what the pending import would change in the selected mode
+     */
+    updateImportPreview() {
+        const container = document.getElementById('importPreview');
+        const applyBtn = document.getElementById('applyImport');
+        const pending = this.pendingImport;
+        
+        applyBtn.disabled = !pending?.validation.valid;
+        
+        if (!pending) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        if (!pending.validation.valid) {
+            const errors = pending.validation.errors.slice(0, 10).map(e => `<li>${escapeHtml(e)}</li>`).join('');
+            const more = pending.validation.errors.length > 10 ? `<li>… und ${pending.validation.errors.length - 10} weitere</li>` : '';
+            container.innerHTML = `<div class="errors"><strong>❌ Import nicht möglich</strong><ul>${errors}${more}</ul></div>`;
+            return;
+        }
+        
+        let preview;
+        try {
+            preview = backup.preview(pending.data, document.getElementById('importMode').value);
+        } catch (error) {
+            this.pendingImport = { data: null, validation: { valid: false, errors: [`Datei nicht lesbar: ${error.message}`] } };
+            this.updateImportPreview();
+            return;
+        }
+        
+        const names = (list) => list.length ? list.map(escapeHtml).join(', ') : '–';
+        
+        container.innerHTML = `
+            <strong>Vorschau (${preview.mode === 'replace' ? 'Ersetzen' : 'Zusammenführen'})</strong>
+            <ul>
+                <li>Neue Tanks: ${names(preview.tanks.added)}</li>
+                <li>Geänderte Tanks: ${names(preview.tanks.updated)}</li>
+                <li>Entfernte Tanks: ${names(preview.tanks.removed)}</li>
+                <li>Ablesungen: ${preview.readings.before} → ${preview.readings.after}</li>
+                <li>Lieferungen: ${preview.purchases.before} → ${preview.purchases.after}</li>
+                <li>Preisalarme: ${preview.alerts.before} → ${preview.alerts.after}</li>
+                <li>Temperatur-Tageswerte: ${preview.temperatureDays.before} → ${preview.temperatureDays.after}</li>
+                <li>Einstellungen: ${preview.settingsChanged ? 'werden übernommen' : 'unverändert'}</li>
+            </ul>
+        `;
+    }
+    
+    /**
+     * Write the previewed import and reload everything from storage
+     */
+    async applyImport() {
+        const statusDiv = document.getElementById('importStatus');
+        if (!this.pendingImport?.validation.valid) return;
+        
+        const result = backup.apply(this.pendingImport.data, document.getElementById('importMode').value);
+        if (!result.success) {
+            this.showStatus(statusDiv, result.error, 'error');
+            return;
+        }
+        
+        this.pendingImport = null;
+        document.getElementById('importFile').value = '';
+        this.updateImportPreview();
+        
+        // Already written by backup.apply; as one step so the import can be undone
+        this.loadState({ undoable: true, label: 'Import' });
+        this.updateAlerts();
+        this.showStatus(statusDiv, '✓ Daten importiert!', 'success');
+    }
+    
+    /**
+     * Run walk-forward backtest on loaded prices and render metrics per horizon
+     */
+    runBacktest() {
+        const container = document.getElementById('backtestResult');
+        const priceData = state.get('priceData');
+        const result = backtester.run(priceData?.historical);
+        
+        if (!result) {
+            container.innerHTML = '<p class="no-data">Zu wenig historische Daten für einen Backtest</p>';
+            return;
+        }
+        
+        const fmt = (value, digits, unit = '') => value !== null ? `${value.toFixed(digits)}${unit}` : '--';
+        
+        const rows = result.horizons.map(h => `
+            <tr>
+                <td>${h.horizon} Mon.</td>
+                <td>${h.count}</td>
+                <td>${fmt(h.mape, 1, ' %')}</td>
+                <td>${fmt(h.rmse, 3, ' €')}</td>
+                <td>${fmt(h.bias, 3, ' €')}</td>
+                <td>${fmt(h.coverage, 0, ' %')}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <p class="summary">
+                <strong>Gesamt:</strong> MAPE ${fmt(result.overall.mape, 1, ' %')} ·
+                RMSE ${fmt(result.overall.rmse, 3, ' €/L')} ·
+                Intervall-Abdeckung ${fmt(result.overall.coverage, 0, ' %')}
+                (${result.origins} Prognosezeitpunkte)
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Horizont</th><th>n</th><th>MAPE</th><th>RMSE</th><th>Bias</th><th>Abdeckung</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
     /**
      * Refresh all data
+     * @param {Object} options - silent: background refresh without status messages
+     * @returns {boolean} True if real prices could be loaded
      */
-    async refreshData() {
+    async refreshData({ silent = false } = {}) {
         const statusDiv = document.getElementById('tankStatus');
-        this.showStatus(statusDiv, '🔄 Aktualisiere...', '');
+        if (!silent) this.showStatus(statusDiv, '🔄 Aktualisiere...', '');
         
-        await dataService.refresh();
-        forecastEngine.generateForecast();
-        this.updateChart();
-        this.updateRecommendation();
+        this.regionPrices.clear();
+        await Promise.all([
+            dataService.refresh(),
+            dataService.loadMarketData()
+        ]);
         
-        // Show timestamp
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString('de-AT', { hour: '2-digit', minute: '2-digit' });
-        const dateStr = now.toLocaleDateString('de-AT', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        // Outcome and age of the prices actually shown, not the time of this attempt
+        const source = state.get('dataSource');
+        const ok = source === 'network' && !state.get('error') && !state.get('isFallback');
+        const fetchedAt = state.get('dataFetchedAt');
+        const loaded = fetchedAt
+            ? `${new Date(fetchedAt).toLocaleDateString('de-AT', { day: '2-digit', month: '2-digit', year: 'numeric' })} um ` +
+              `${new Date(fetchedAt).toLocaleTimeString('de-AT', { hour: '2-digit', minute: '2-digit' })} (${this.formatAge(state.get('dataAge'))})`
+            : null;
         
         const updateDiv = document.getElementById('lastUpdate');
         if (updateDiv) {
-            updateDiv.textContent = `✅ Zuletzt aktualisiert: ${dateStr} um ${timeStr}`;
+            if (ok) {
+                updateDiv.textContent = `✅ Zuletzt aktualisiert: ${loaded || 'gerade eben'}`;
+            } else if (state.get('isFallback')) {
+                updateDiv.textContent = '⚠️ Aktualisierung fehlgeschlagen – keine Preisdaten verfügbar';
+            } else {
+                updateDiv.textContent = `⚠️ Aktualisierung fehlgeschlagen – Preisdaten vom ${loaded || 'unbekannten Zeitpunkt'}`;
+            }
+        }
+        
+        if (!silent) {
+            if (ok) {
+                this.showStatus(statusDiv, '✓ Daten aktualisiert!', 'success');
+            } else {
+                const reason = state.get('error') || (source === 'cache' ? 'offline' : 'keine Verbindung');
+                this.showStatus(statusDiv, `❌ Aktualisierung fehlgeschlagen (${reason})`, 'error');
+            }
         }
         
-        this.showStatus(statusDiv, '✓ Daten aktualisiert!', 'success');
+        return ok;
     }
 }
 
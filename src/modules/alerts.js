@@ -0,0 +1,215 @@
+/**
+ * Price Alerts Module
+ * User-defined alert rules, checked after every data refresh, fired as browser notifications
+ */
+
+import { CONFIG } from './config.js';
+import { state } from './state.js';
+import { storage } from './storage.js';
+import './forecast.js'; // derived state key 'forecast'
+import { consumptionAnalyzer } from './consumption.js';
+
+const RULE_TYPES = {
+    'price-below': {
+        label: 'Preis unter',
+        unit: '€/L',
+        check: (rule, ctx) => ctx.price !== null && ctx.price < rule.value
+            ? `Heizölpreis ${ctx.price.toFixed(3)} €/L liegt unter ${rule.value.toFixed(2)} €/L`
+            : null
+    },
+    'near-forecast-low': {
+        label: 'Preis nahe Prognose-Tiefstwert (max. % darüber)',
+        unit: '%',
+        check: (rule, ctx) => ctx.price !== null && ctx.forecastLow &&
+            ctx.price <= ctx.forecastLow.price * (1 + rule.value / 100)
+            ? `Heizölpreis ${ctx.price.toFixed(3)} €/L liegt höchstens ${rule.value} % über dem ` +
+              `Prognose-Tiefstwert (${ctx.forecastLow.price.toFixed(3)} €/L im ${ctx.forecastLow.label})`
+            : null
+    },
+    'days-left-below': {
+        label: 'Reichweite unter',
+        unit: 'Tage',
+        check: (rule, ctx) => {
+            const low = ctx.tanks.filter(t => t.daysLeft !== null && t.daysLeft < rule.value);
+            return low.length
+                ? `Reichweite unter ${rule.value} Tagen: ${low.map(t => `${t.name} (${Math.floor(t.daysLeft)} Tage)`).join(', ')}`
+                : null;
+        }
+    }
+};
+
+class PriceAlerts {
+    /**
+     * Rule types for the UI
+     */
+    getTypes() {
+        return Object.entries(RULE_TYPES).map(([id, t]) => ({
+            id,
+            label: t.label,
+            unit: t.unit,
+            defaultValue: CONFIG.alerts.defaults[id]
+        }));
+    }
+    
+    /**
+     * Validate a new rule
+     */
+    validateRule(type, value) {
+        const errors = [];
+        
+        if (!RULE_TYPES[type]) {
+            errors.push('Unbekannter Alarmtyp');
+        }
+        
+        if (!Number.isFinite(value) || value <= 0) {
+            errors.push('Schwellenwert muss größer als 0 sein');
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Store a new rule
+     */
+    addRule(type, value) {
+        const rule = {
+            id: `a_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            type,
+            value,
+            enabled: true,
+            active: false,
+            createdAt: new Date().toISOString(),
+            lastTriggeredAt: null
+        };
+        
+        const result = storage.saveAlerts([...storage.loadAlerts(), rule]);
+        return result.success ? { ...result, rule } : result;
+    }
+    
+    /**
+     * Delete a rule (its history entries stay)
+     */
+    removeRule(id) {
+        return storage.saveAlerts(storage.loadAlerts().filter(r => r.id !== id));
+    }
+    
+    /**
+     * Enable or disable a rule
+     */
+    toggleRule(id, enabled) {
+        return storage.saveAlerts(storage.loadAlerts().map(r => r.id === id ? { ...r, enabled, active: false } : r));
+    }
+    
+    /**
+     * Human readable rule, e.g. "Preis unter 1.05 €/L"
+     */
+    describe(rule) {
+        const type = RULE_TYPES[rule.type];
+        return type ? `${type.label} ${rule.value} ${type.unit}` : rule.type;
+    }
+    
+    /**
+     * Values the rules are checked against
+     */
+    buildContext(now = new Date()) {
+        const forecast = state.get('forecast');
+        
+        // Only months still ahead (the price file may lag behind today)
+        const low = forecast?.expected
+            .filter(p => new Date(p.date) >= now)
+            .reduce((min, p) => (!min || p.price < min.price ? p : min), null);
+        
+        return {
+            price: state.get('currentPrice') ?? null,
+            forecastLow: low && {
+                price: low.price,
+                label: new Date(low.date).toLocaleDateString('de-AT', { month: 'long', year: 'numeric' })
+            },
+            tanks: (state.get('tanks') || []).map(t => ({
+                name: t.name,
+                daysLeft: consumptionAnalyzer.project(t.levelHistory || [], t.volume, t.currentLevel, now).daysLeft
+            }))
+        };
+    }
+    
+    /**
+     * Check all enabled rules
+     * A rule fires when its condition becomes true, not again while it stays true.
+     * @returns {Array} Newly triggered alerts
+     */
+    check(context = this.buildContext(), now = new Date()) {
+        // Synthetic fallback prices must not trigger alerts
+        if (state.get('dataSource') === 'fallback') return [];
+        
+        const triggered = [];
+        
+        const rules = storage.loadAlerts().map(rule => {
+            const type = RULE_TYPES[rule.type];
+            if (!rule.enabled || !type) return rule;
+            
+            const message = type.check(rule, context);
+            
+            if (message && !rule.active) {
+                triggered.push({
+                    ruleId: rule.id,
+                    type: rule.type,
+                    rule: this.describe(rule),
+                    message,
+                    price: context.price,
+                    date: now.toISOString()
+                });
+            }
+            
+            return {
+                ...rule,
+                active: Boolean(message),
+                lastTriggeredAt: message && !rule.active ? now.toISOString() : rule.lastTriggeredAt
+            };
+        });
+        
+        storage.saveAlerts(rules);
+        
+        if (triggered.length) {
+            storage.addAlertHistory(triggered);
+            triggered.forEach(entry => this.notify(entry));
+        }
+        
+        return triggered;
+    }
+    
+    /**
+     * Show a browser notification (through the service worker where available)
+     */
+    async notify(entry) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        
+        const title = `🛢️ ${CONFIG.app.name}: ${entry.rule}`;
+        const options = { body: entry.message, icon: 'icons/icon-192.png', tag: entry.ruleId };
+        
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.warn('Notification failed:', error);
+        }
+    }
+    
+    /**
+     * Ask for notification permission ('granted' | 'denied' | 'default' | 'unsupported')
+     */
+    async requestPermission() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    }
+}
+
+export const priceAlerts = new PriceAlerts();
+export default PriceAlerts;
@@ -0,0 +1,133 @@
+/**
+ * Backtest Module
+ * Walk-forward evaluation of ForecastEngine against historical prices
+ */
+
+import { CONFIG } from './config.js';
+import { forecastEngine } from './forecast.js';
+
+class Backtester {
+    constructor() {
+        this.result = null;
+    }
+    
+    /**
+     * Replay history: at each month forecast only from data known up to
+     * that month, then compare with what actually happened.
+     * @param {Array} historical - Monthly series [{date, price}], oldest first
+     * @param {Object} options - Forecast parameter overrides plus horizon/minTrainingMonths;
+     *                           `model` defaults to the model selected in the settings
+     */
+    run(historical, options = {}) {
+        const {
+            horizon = CONFIG.backtest.horizon,
+            minTrainingMonths = CONFIG.backtest.minTrainingMonths,
+            model = forecastEngine.state.get('forecastModel'),
+            ...params
+        } = options;
+        
+        if (!historical || historical.length <= minTrainingMonths) {
+            return null;
+        }
+        
+        const errors = Array.from({ length: horizon }, () => []);
+        
+        for (let origin = minTrainingMonths - 1; origin < historical.length - 1; origin++) {
+            const known = historical.slice(0, origin + 1);
+            const forecast = forecastEngine.buildForecast(known, horizon, { ...params, model });
+            if (!forecast) continue;
+            
+            for (let h = 1; h <= horizon; h++) {
+                const actual = historical[origin + h];
+                if (!actual) break;
+                
+                errors[h - 1].push({
+                    origin: historical[origin].date,
+                    actual: actual.price,
+                    expected: forecast.expected[h - 1].price,
+                    bestCase: forecast.bestCase[h - 1].price,
+                    worstCase: forecast.worstCase[h - 1].price
+                });
+            }
+        }
+        
+        const horizons = errors.map((samples, i) => this.summarize(i + 1, samples));
+        
+        this.result = {
+            params: { model, ...forecastEngine.getDefaultParams(), ...params },
+            horizons,
+            overall: this.summarizeOverall(horizons),
+            origins: historical.length - minTrainingMonths
+        };
+        
+        return this.result;
+    }
+    
+    /**
+     * Error metrics for a single horizon
+     */
+    summarize(horizon, samples) {
+        const n = samples.length;
+        if (n === 0) {
+            return { horizon, count: 0, mape: null, rmse: null, bias: null, coverage: null };
+        }
+        
+        let absPct = 0, sq = 0, bias = 0, covered = 0;
+        
+        samples.forEach(s => {
+            const error = s.expected - s.actual;
+            absPct += Math.abs(error) / s.actual;
+            sq += error * error;
+            bias += error;
+            if (s.actual >= s.bestCase && s.actual <= s.worstCase) covered++;
+        });
+        
+        return {
+            horizon,
+            count: n,
+            mape: absPct / n * 100,
+            rmse: Math.sqrt(sq / n),
+            bias: bias / n,
+            coverage: covered / n * 100
+        };
+    }
+    
+    /**
+     * Sample-weighted average over all horizons
+     */
+    summarizeOverall(horizons) {
+        const valid = horizons.filter(h => h.count > 0);
+        const total = valid.reduce((sum, h) => sum + h.count, 0);
+        if (total === 0) return { count: 0, mape: null, rmse: null, coverage: null };
+        
+        const weighted = (key) => valid.reduce((sum, h) => sum + h[key] * h.count, 0) / total;
+        
+        return {
+            count: total,
+            mape: weighted('mape'),
+            rmse: Math.sqrt(valid.reduce((sum, h) => sum + h.rmse * h.rmse * h.count, 0) / total),
+            coverage: weighted('coverage')
+        };
+    }
+    
+    /**
+     * Run several parameter sets and rank them by overall MAPE
+     */
+    compare(historical, candidates, options = {}) {
+        return candidates
+            .map(params => this.run(historical, { ...options, ...params }))
+            .filter(Boolean)
+            .sort((a, b) => a.overall.mape - b.overall.mape);
+    }
+}
+
+export const backtester = new Backtester();
+
+/**
+ * Plain function entry point, e.g. for scripts or the browser console
+ */
+export function runBacktest(historical, options = {}) {
+    return backtester.run(historical, options);
+}
+
+export default Backtester;
@@ -0,0 +1,481 @@
+/**
+ * Backup Module
+ * Export and import of all user data as versioned JSON or CSV
+ */
+
+import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+
+const FORMAT = 'heizoel-optimizer-backup';
+const VERSION = 1;
+
+const CSV_SEPARATOR = ';';
+const CSV_COLUMNS = ['typ', 'tank_id', 'name', 'objekt', 'region', 'datum', 'fuellstand_l', 'volumen_l', 'menge_l', 'betrag_eur', 'lieferant'];
+// Tank shape and sensor config as JSON text; optional so CSVs of older versions still import
+const CSV_JSON_COLUMNS = ['tankform', 'sensor'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class BackupService {
+    /**
+     * Collect everything the app keeps in localStorage
+     */
+    exportData() {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            appVersion: CONFIG.app.version,
+            exportedAt: new Date().toISOString(),
+            activeTank: storage.getActiveTankId(),
+            tanks: storage.loadTanks(),
+            purchases: storage.loadPurchases(),
+            settings: storage.loadSettings(),
+            alerts: storage.loadAlerts(),
+            alertHistory: storage.loadAlertHistory(),
+            temperatures: storage.loadTemperatures()
+        };
+    }
+    
+    /**
+     * Versioned JSON backup
+     */
+    toJSON(data = this.exportData()) {
+        return JSON.stringify(data, null, 2);
+    }
+    
+    /**
+     * One CSV row per tank, reading and delivery (settings, alerts and temperatures are JSON-only)
+     * Semicolon separated with decimal commas, as spreadsheets in AT/DE expect.
+     */
+    toCSV(data = this.exportData()) {
+        const rows = [[...CSV_COLUMNS, ...CSV_JSON_COLUMNS]];
+        const number = (value) => value === null || value === undefined ? '' : String(value).replace('.', ',');
+        const json = (value) => value ? JSON.stringify(value) : '';
+        
+        data.tanks.forEach(t => {
+            rows.push(['tank', t.id, t.name, t.property, t.region, t.lastUpdate || '', number(t.currentLevel), number(t.volume), '', '', '',
+                json(t.shape), json(t.sensor)]);
+            (t.levelHistory || []).forEach(r => {
+                rows.push(['ablesung', t.id, '', '', '', r.date, number(r.level), '', '', '', '', '', '']);
+            });
+        });
+        
+        data.purchases.forEach(p => {
+            rows.push(['lieferung', '', '', '', '', p.date, '', '', number(p.liters), number(p.totalPrice), p.supplier || '', '', '']);
+        });
+        
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(CSV_SEPARATOR)).join('\n');
+    }
+    
+    /**
+     * Read a backup file (JSON or CSV) into the JSON structure
+     * trim() also drops the BOM written by the CSV export.
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        
+        if (trimmed.startsWith('{')) {
+            return JSON.parse(trimmed);
+        }
+        
+        return this.parseCSV(trimmed);
+    }
+    
+    /**
+     * CSV export back into the JSON structure
+     */
+    parseCSV(text) {
+        const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+        const columns = this.splitCSVLine(header || '');
+        
+        if (!CSV_COLUMNS.every(c => columns.includes(c))) {
+            throw new Error('CSV-Kopfzeile passt nicht zum Export-Format');
+        }
+        
+        const number = (value) => value === '' ? null : parseFloat(value.replace(',', '.'));
+        const json = (value, label, tankId) => {
+            if (!value) return null;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new Error(`${label} von Tank ${tankId} ist kein gültiges JSON`);
+            }
+        };
+        const tanks = new Map();
+        const purchases = [];
+        
+        lines.forEach(line => {
+            const values = this.splitCSVLine(line);
+            const row = Object.fromEntries(columns.map((c, i) => [c, values[i] ?? '']));
+            
+            if (row.typ === 'tank') {
+                tanks.set(row.tank_id, {
+                    id: row.tank_id,
+                    name: row.name,
+                    property: row.objekt,
+                    region: row.region || CONFIG.regions.default,
+                    volume: number(row.volumen_l),
+                    currentLevel: number(row.fuellstand_l),
+                    lastUpdate: row.datum || null,
+                    // Without the columns (older CSV) a merge keeps the existing shape and sensor
+                    ...(columns.includes('tankform') && { shape: json(row.tankform, 'Tankform', row.tank_id) }),
+                    ...(columns.includes('sensor') && { sensor: json(row.sensor, 'Sensor', row.tank_id) }),
+                    levelHistory: []
+                });
+            } else if (row.typ === 'ablesung') {
+                const tank = tanks.get(row.tank_id);
+                if (!tank) throw new Error(`Ablesung für unbekannten Tank ${row.tank_id}`);
+                tank.levelHistory.push({ date: row.datum, level: number(row.fuellstand_l) });
+            } else if (row.typ === 'lieferung') {
+                purchases.push({
+                    date: row.datum,
+                    liters: number(row.menge_l),
+                    totalPrice: number(row.betrag_eur),
+                    supplier: row.lieferant
+                });
+            }
+        });
+        
+        return {
+            format: FORMAT,
+            version: VERSION,
+            tanks: [...tanks.values()],
+            purchases,
+            settings: null
+        };
+    }
+    
+    /**
+     * Check a parsed backup with the same rules as manual input
+     */
+    validate(data) {
+        const errors = [];
+        
+        if (data?.format !== FORMAT) {
+            return { valid: false, errors: ['Datei ist keine Heizöl-Optimizer-Sicherung'] };
+        }
+        
+        if (!(data.version <= VERSION)) {
+            errors.push(`Sicherungsversion ${data.version} wird nicht unterstützt (max. ${VERSION})`);
+        }
+        
+        if (!Array.isArray(data.tanks) || !data.tanks.length) {
+            errors.push('Sicherung enthält keine Tanks');
+        }
+        
+        if (data.settings != null && !isObject(data.settings)) {
+            errors.push('Einstellungen müssen ein Objekt sein');
+        }
+        
+        (Array.isArray(data.tanks) ? data.tanks : []).forEach((tank, index) => {
+            if (!isObject(tank)) {
+                errors.push(`Tank ${index + 1}: ungültiger Eintrag`);
+                return;
+            }
+            
+            if (typeof tank.name !== 'string') {
+                errors.push(`Tank ${index + 1}: Name muss Text sein`);
+                return;
+            }
+            
+            const label = tank.name || `Tank ${index + 1}`;
+            if (tank.property != null && typeof tank.property !== 'string') {
+                errors.push(`${label}: Objekt muss Text sein`);
+            }
+            if (tank.sensor != null && !isObject(tank.sensor)) {
+                errors.push(`${label}: Sensor-Einstellungen müssen ein Objekt sein`);
+            }
+            storage.validateTankProfile(tank).errors.forEach(e => errors.push(`${label}: ${e}`));
+            
+            if (tank.levelHistory !== undefined && !Array.isArray(tank.levelHistory)) {
+                errors.push(`${label}: Ablesungen müssen eine Liste sein`);
+                return;
+            }
+            
+            (tank.levelHistory || []).forEach(reading => {
+                if (!isObject(reading) || typeof reading.date !== 'string' || isNaN(new Date(reading.date).getTime())) {
+                    errors.push(`${label}: Ablesung mit ungültigem Datum`);
+                    return;
+                }
+                storage.validateTankData(tank.volume, reading.level).errors
+                    .forEach(e => errors.push(`${label}, Ablesung ${reading.date.split('T')[0]}: ${e}`));
+            });
+        });
+        
+        if (data.purchases !== undefined && !Array.isArray(data.purchases)) {
+            errors.push('Lieferungen müssen eine Liste sein');
+        }
+        
+        (Array.isArray(data.purchases) ? data.purchases : []).forEach((purchase, index) => {
+            if (!isObject(purchase) || typeof purchase.date !== 'string') {
+                errors.push(`Lieferung ${index + 1}: ungültiger Eintrag oder Datum`);
+                return;
+            }
+            if (purchase.supplier !== undefined && purchase.supplier !== null && typeof purchase.supplier !== 'string') {
+                errors.push(`Lieferung ${purchase.date}: Lieferant muss Text sein`);
+            }
+            storage.validatePurchase(purchase).errors
+                .forEach(e => errors.push(`Lieferung ${purchase.date}: ${e}`));
+        });
+        
+        this.validateAlerts(data, errors);
+        this.validateTemperatures(data.temperatures, errors);
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Alert rules and trigger history (both optional, older backups have neither)
+     */
+    validateAlerts(data, errors) {
+        if (data.alerts !== undefined && !Array.isArray(data.alerts)) {
+            errors.push('Alarme müssen eine Liste sein');
+        }
+        (Array.isArray(data.alerts) ? data.alerts : []).forEach((rule, index) => {
+            if (!isObject(rule) || typeof rule.id !== 'string' || typeof rule.type !== 'string' ||
+                !Number.isFinite(rule.value) || rule.value <= 0) {
+                errors.push(`Alarm ${index + 1}: ungültige Regel`);
+            }
+        });
+        
+        if (data.alertHistory !== undefined && !Array.isArray(data.alertHistory)) {
+            errors.push('Alarmverlauf muss eine Liste sein');
+        }
+        (Array.isArray(data.alertHistory) ? data.alertHistory : []).forEach((entry, index) => {
+            if (!isObject(entry) || typeof entry.date !== 'string' || isNaN(new Date(entry.date).getTime()) ||
+                typeof entry.message !== 'string') {
+                errors.push(`Alarmverlauf ${index + 1}: ungültiger Eintrag`);
+            }
+        });
+    }
+    
+    /**
+     * Imported daily temperatures: null/missing or { station, days: [{ date, temp }] }
+     */
+    validateTemperatures(temperatures, errors) {
+        if (temperatures === undefined || temperatures === null) return;
+        
+        if (!isObject(temperatures) || !Array.isArray(temperatures.days)) {
+            errors.push('Temperaturen müssen eine Liste von Tageswerten enthalten');
+            return;
+        }
+        
+        const invalid = temperatures.days.filter(d =>
+            !isObject(d) || typeof d.date !== 'string' || isNaN(new Date(d.date).getTime()) || !Number.isFinite(d.temp));
+        if (invalid.length) {
+            errors.push(`Temperaturen: ${invalid.length} ungültige Tageswerte`);
+        }
+    }
+    
+    /**
+     * Resulting data after an import
+     * @param {string} mode - 'merge' keeps existing entries, 'replace' discards them
+     */
+    combine(data, mode) {
+        const current = this.exportData();
+        
+        if (mode === 'replace') {
+            return {
+                tanks: data.tanks.map(t => ({ ...t, id: t.id || storage.createTankId() })),
+                purchases: (data.purchases || []).map(p => ({ ...p, id: p.id || storage.createPurchaseId() })),
+                settings: data.settings || current.settings,
+                alerts: data.alerts || current.alerts,
+                alertHistory: data.alertHistory || current.alertHistory,
+                temperatures: data.temperatures === undefined ? current.temperatures : data.temperatures
+            };
+        }
+        
+        const tanks = current.tanks.map(t => ({ ...t, levelHistory: [...(t.levelHistory || [])] }));
+        
+        data.tanks.forEach(incoming => {
+            const existing = tanks.find(t => t.id === incoming.id) || tanks.find(t => this.sameTank(t, incoming));
+            
+            if (!existing) {
+                tanks.push({ ...incoming, id: incoming.id || storage.createTankId() });
+                return;
+            }
+            
+            const history = this.mergeReadings(existing.levelHistory, incoming.levelHistory || []);
+            const newer = !existing.lastUpdate || (incoming.lastUpdate && incoming.lastUpdate >= existing.lastUpdate);
+            
+            Object.assign(existing, newer ? { ...incoming, id: existing.id } : {}, { levelHistory: history });
+        });
+        
+        const purchases = [...current.purchases];
+        (data.purchases || []).forEach(incoming => {
+            if (!purchases.some(p => (incoming.id && p.id === incoming.id) || this.samePurchase(p, incoming))) {
+                purchases.push({ ...incoming, id: incoming.id || storage.createPurchaseId() });
+            }
+        });
+        
+        const alerts = [...current.alerts];
+        (data.alerts || []).forEach(incoming => {
+            if (!alerts.some(r => r.id === incoming.id || (r.type === incoming.type && r.value === incoming.value))) {
+                alerts.push(incoming);
+            }
+        });
+        
+        const history = [...current.alertHistory];
+        (data.alertHistory || []).forEach(incoming => {
+            if (!history.some(h => h.date === incoming.date && h.message === incoming.message)) {
+                history.push(incoming);
+            }
+        });
+        
+        return {
+            tanks,
+            purchases,
+            settings: { ...current.settings, ...(data.settings || {}) },
+            alerts,
+            alertHistory: history.sort((a, b) => new Date(a.date) - new Date(b.date)),
+            temperatures: this.mergeTemperatures(current.temperatures, data.temperatures)
+        };
+    }
+    
+    /**
+     * What an import would change, for the preview
+     */
+    preview(data, mode) {
+        const current = this.exportData();
+        const result = this.combine(data, mode);
+        const readings = (tanks) => tanks.reduce((sum, t) => sum + (t.levelHistory || []).length, 0);
+        const currentIds = new Set(current.tanks.map(t => t.id));
+        const resultIds = new Set(result.tanks.map(t => t.id));
+        
+        return {
+            mode,
+            tanks: {
+                added: result.tanks.filter(t => !currentIds.has(t.id)).map(t => t.name),
+                updated: result.tanks
+                    .filter(t => currentIds.has(t.id))
+                    .filter(t => JSON.stringify(t) !== JSON.stringify(current.tanks.find(c => c.id === t.id)))
+                    .map(t => t.name),
+                removed: current.tanks.filter(t => !resultIds.has(t.id)).map(t => t.name)
+            },
+            readings: { before: readings(current.tanks), after: readings(result.tanks) },
+            purchases: { before: current.purchases.length, after: result.purchases.length },
+            alerts: { before: current.alerts.length, after: result.alerts.length },
+            temperatureDays: { before: current.temperatures?.days.length || 0, after: result.temperatures?.days.length || 0 },
+            settingsChanged: JSON.stringify(result.settings) !== JSON.stringify(current.settings)
+        };
+    }
+    
+    /**
+     * Write the imported data to storage
+     */
+    apply(data, mode) {
+        const result = this.combine(data, mode);
+        
+        const saved = [
+            storage.saveTanks(result.tanks),
+            storage.savePurchases(result.purchases),
+            storage.saveSettings(result.settings),
+            storage.saveAlerts(result.alerts),
+            storage.saveAlertHistory(result.alertHistory),
+            storage.saveTemperatures(result.temperatures)
+        ].find(r => !r.success);
+        
+        if (saved) return saved;
+        
+        if (mode === 'replace' && data.activeTank) {
+            storage.setActiveTank(data.activeTank);
+        }
+        
+        return { success: true };
+    }
+    
+    /**
+     * Readings of both sides; on the same day the imported one wins
+     */
+    mergeReadings(existing, incoming) {
+        const byDay = new Map();
+        [...existing, ...incoming].forEach(r => byDay.set(r.date.split('T')[0], r));
+        
+        return [...byDay.values()]
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .slice(-CONFIG.consumption.maxReadings);
+    }
+    
+    /**
+     * Daily temperatures of both sides; on the same day the imported value wins
+     */
+    mergeTemperatures(existing, incoming) {
+        if (!incoming?.days?.length) return existing;
+        if (!existing?.days?.length) return incoming;
+        
+        const byDay = new Map();
+        [...existing.days, ...incoming.days].forEach(d => byDay.set(d.date, d));
+        
+        return {
+            station: incoming.station || existing.station,
+            days: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date))
+        };
+    }
+    
+    /**
+     * Tanks without matching id are the same if name and property match
+     */
+    sameTank(a, b) {
+        const key = (t) => `${(t.name || '').trim().toLowerCase()}|${(t.property || '').trim().toLowerCase()}`;
+        return key(a) === key(b);
+    }
+    
+    /**
+     * Deliveries without matching id are the same if day, liters and amount match
+     */
+    samePurchase(a, b) {
+        return a.date.split('T')[0] === b.date.split('T')[0] &&
+               a.liters === b.liters &&
+               a.totalPrice === b.totalPrice;
+    }
+    
+    /**
+     * Quote a CSV field if it contains separator, quotes or line breaks
+     */
+    escapeCSV(value) {
+        const text = String(value ?? '');
+        return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Split one CSV line, honouring quoted fields
+     */
+    splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === CSV_SEPARATOR) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        
+        values.push(current);
+        return values;
+    }
+}
+
+export const backup = new BackupService();
+export default BackupService;
@@ -7,22 +7,83 @@ export const CONFIG = {
     // App metadata
     app: {
         name: 'Heizöl-Optimizer',
-        version: '2.0.0',
-        region: 'Österreich'
+        version: '2.0.0'
     },
     
     // Data sources
     data: {
-        priceUrl: 'data/sample_prices.json',
+        marketUrl: 'data/oil_prices_history.json',  // Brent/WTI/Heizöl-Futures (oil_price_tracker.py)
         refreshIntervalMs: 60 * 60 * 1000, // 1 hour
+        // Nach fehlgeschlagener Aktualisierung: 1 min, 2 min, 4 min, ... höchstens 6 h
+        retryBaseMs: 60 * 1000,
+        retryMaxMs: 6 * 60 * 60 * 1000,
+        staleAfterMs: 24 * 60 * 60 * 1000  // Ältere Daten werden als veraltet markiert
+    },
+    
+    // Regionen mit eigenen Preisquellen.
+    // `priceUrl` ist die Kurzform für eine JSON-Quelle; `sources` listet Quellen in
+    // Reihenfolge (primär, sekundär, ...) mit format 'json' | 'csv' | 'oil-bulletin',
+    // unit 'EUR/L' | 'EUR/1000L', vatIncluded und optional vatRate/country.
+    // Liefert keine Quelle Daten, wird die `fallback`-Region geladen.
+    // `seasonalFactors` (optional) ersetzt die Standard-Saisonfaktoren bei < 2 Jahren Historie.
+    // Bundesländer (ISO 3166-2) haben noch keine eigenen Preisdateien und nutzen den
+    // Österreich-Durchschnitt; eine Datei unter data/regions/ wird als `sources`-Eintrag ergänzt.
+    regions: {
+        default: 'at',
+        list: {
+            'at': {
+                name: 'Österreich (Durchschnitt)',
+                country: 'AT',
+                sources: [
+                    { label: 'Beispieldaten (EU Oil Bulletin via wissenswertes.at)', url: 'data/sample_prices.json', format: 'json' },
+                    { label: 'Beispieldaten (CSV)', url: 'data/sample_prices.csv', format: 'csv', unit: 'EUR/L', vatIncluded: true }
+                ]
+            },
+            'at-1': { name: 'Burgenland', country: 'AT', sources: [], fallback: 'at' },
+            'at-2': { name: 'Kärnten', country: 'AT', sources: [], fallback: 'at' },
+            'at-3': { name: 'Niederösterreich', country: 'AT', sources: [], fallback: 'at' },
+            'at-4': { name: 'Oberösterreich', country: 'AT', sources: [], fallback: 'at' },
+            'at-5': { name: 'Salzburg', country: 'AT', sources: [], fallback: 'at' },
+            'at-6': { name: 'Steiermark', country: 'AT', sources: [], fallback: 'at' },
+            'at-7': { name: 'Tirol', country: 'AT', sources: [], fallback: 'at' },
+            'at-8': { name: 'Vorarlberg', country: 'AT', sources: [], fallback: 'at' },
+            'at-9': { name: 'Wien', country: 'AT', sources: [], fallback: 'at' }
+        }
     },
     
     // Prognose-Einstellungen
     forecast: {
         months: 12,
+        // Arbeitsfrequenz der Modelle (Saisonfaktoren je Monat) -
+        // tägliche/wöchentliche Preise werden dafür zu Monatsmitteln zusammengefasst
+        frequency: 'month',
+        // Kegel-Unsicherheit (Fallback, wenn zu wenig Prognosefehler vorliegen)
         baseUncertainty: 0.05,
         uncertaintyGrowthPerMonth: 0.03,
-        // Monatliche Saisonalitätsfaktoren (basierend auf 4 Jahren Daten)
+        trendWindow: 12,         // Monate für lineare Trendschätzung
+        defaultModel: 'trend',   // Siehe forecast-models.js
+        // Prognoseintervalle aus historischen Prognosefehlern je Horizont
+        intervals: {
+            levels: [50, 80, 95],
+            primaryLevel: 80,    // Grenzen = Best-Case / Worst-Case
+            minSamples: 8        // Weniger Fehler-Stichproben -> Kegel als Fallback
+        },
+        // Damped-Trend Holt-Winters Glättungsparameter
+        holtWinters: {
+            alpha: 0.5,   // Niveau
+            beta: 0.1,    // Trend
+            gamma: 0.2,   // Saison
+            phi: 0.9      // Dämpfung
+        },
+        // Gewichte für das Ensemble-Modell
+        ensembleWeights: {
+            'trend': 0.3,
+            'holt-winters': 0.4,
+            'seasonal-naive': 0.15,
+            'drift': 0.15
+        },
+        // Monatliche Saisonalitätsfaktoren - nur Fallback bei < 2 Jahren Historie,
+        // sonst werden sie per Zerlegung aus den Daten geschätzt (seasonality.js)
         seasonalFactors: {
             0: 1.06,  // Jänner - Winter
             1: 1.04,  // Februar - Winter
@@ -39,14 +100,95 @@ export const CONFIG = {
         }
     },
     
+    // Vorlaufindikatoren (Rohöl-/Heizöl-Futures -> Endkundenpreis)
+    indicators: {
+        codes: ['BRENT_CRUDE_USD', 'HEATING_OIL_USD'],
+        changeWindowWeeks: 4,    // Preisänderung über 4 Wochen
+        maxLagWeeks: 12,
+        minObservations: 12,     // Mindestanzahl Wochen für eine Schätzung
+        minRSquared: 0.2         // Darunter wird die Prognose nicht angepasst
+    },
+    
+    // Walk-forward Backtest
+    backtest: {
+        minTrainingMonths: 12,   // Erste Prognose nach 12 Monaten Historie
+        horizon: 12              // Geprüfte Prognose-Horizonte (Monate)
+    },
+    
+    // Prüfung der Preisdaten
+    quality: {
+        maxGapMonths: 2,         // Kürzere Lücken werden linear interpoliert
+        outlierWindow: 3,        // Vergleich mit dem Median von ±3 Monaten
+        outlierThreshold: 0.4    // Ab ~50 % Abweichung (log. 0.4) gilt ein Wert als Ausreißer
+    },
+    
+    // Zustandsverlauf und Rückgängig/Wiederholen
+    state: {
+        maxHistory: 200,         // Protokollierte Änderungen (alle Keys)
+        maxUndo: 50              // Rückgängig-Schritte (nur Benutzeränderungen)
+    },
+    
     // LocalStorage Keys
     storage: {
+        tanks: 'heizoel_tanks',
+        activeTank: 'heizoel_activeTank',
+        // Einzeltank bis v2.0 - wird beim ersten Start in ein Tank-Profil übernommen
         tankVolume: 'heizoel_tankVolume',
         currentLevel: 'heizoel_currentLevel',
         lastUpdate: 'heizoel_lastUpdate',
+        levelHistory: 'heizoel_levelHistory',
+        purchases: 'heizoel_purchases',
+        alerts: 'heizoel_alerts',
+        temperatures: 'heizoel_temperatures',
+        alertHistory: 'heizoel_alertHistory',
         settings: 'heizoel_settings'
     },
     
+    // Verbrauchsprognose
+    consumption: {
+        minSpanDays: 7,          // Mindestzeitraum für eine Verbrauchsrate
+        reorderLeadDays: 21,     // 2-3 Wochen Lieferzeit einplanen
+        reserveLevel: 10,        // % - Reserve, die nicht unterschritten werden soll
+        maxReadings: 500         // Ältere Ablesungen werden verworfen
+    },
+    
+    // Witterungsbereinigter Verbrauch über Heizgradtage (HGT 20/12): an Tagen mit einem
+    // Tagesmittel unter der Heizgrenze zählen Raumtemperatur minus Tagesmittel
+    degreeDays: {
+        indoorTemp: 20,          // °C
+        heatingLimit: 12,        // °C - darüber wird nicht geheizt
+        minCoverage: 0.9,        // Anteil der Tage mit Temperaturwert je Ablesungsintervall bzw. Monat
+        minIntervals: 2,         // Ablesungsintervalle mit Temperaturdaten für die Anpassung
+        coldQuantile: 0.9,       // Kalter Winter: 90 %-Quantil der Monats-HGT über die Jahre
+        mildQuantile: 0.1,       // Milder Winter: 10 %-Quantil
+        planScenario: 'cold'     // Bestellplan und Dringlichkeit: 'cold' (sicher), 'expected' oder 'mild'
+    },
+    
+    // Füllstandssensoren (Ultraschall, Druck) - Messwerte werden in Liter umgerechnet.
+    // Je Tank-Profil: sensor: { type: 'distance'|'height'|'percent'|'liters',
+    // heightCm (Füllhöhe bei vollem Tank, entfällt bei hinterlegter Tankform), mountCm (Sensor über
+    // Tankboden, Standard: volle Füllhöhe), topic }
+    sensors: {
+        staleAfterMs: 6 * 60 * 60 * 1000,   // Kein Messwert seit 6 h -> Sensor gilt als ausgefallen
+        checkIntervalMs: 5 * 60 * 1000,     // Prüfung auf ausgefallene Sensoren (Server)
+        tolerancePercent: 3,     // Messrauschen bis 3 % unter leer / über voll wird begrenzt
+        mqtt: {
+            topic: 'heizoel/tank/level',
+            keepaliveSeconds: 60,
+            reconnectMs: 5000
+        }
+    },
+    
+    // Preisalarme (geprüft bei jeder Aktualisierung der Preisdaten)
+    alerts: {
+        defaults: {
+            'price-below': 1.05,       // €/L
+            'near-forecast-low': 2,    // % über dem Prognose-Tiefstwert
+            'days-left-below': 30      // Tage Reichweite
+        },
+        maxHistory: 50
+    },
+    
     // Kaufempfehlung Schwellenwerte
     thresholds: {
         criticalLevel: 15,     // Kritisch - sofort handeln
@@ -54,11 +196,72 @@ export const CONFIG = {
         optimalFill: 80,       // Zielfüllstand
         goodPriceThreshold: 1.10,  // €/L - guter Preis
         highPriceMultiplier: 1.10,  // >10% über beste Prognose = hoch
+        // Reichweite in Wochen (hat Vorrang vor Füllstand, wenn Verbrauch bekannt)
+        criticalWeeks: 3,
+        lowWeeks: 6,
+        warningWeeks: 12,
+    },
+    
+    // Lieferantenpreise: Mengenstaffel, Mindestmenge, Zustellgebühr, USt.
+    // Der Marktpreis (priceData) entspricht einer 3.000-L-Bestellung inkl. USt.
+    pricing: {
+        vatRate: 0.20,
+        defaultSupplier: 'standard',
+        suppliers: {
+            standard: {
+                name: 'Regionalhändler (Staffel)',
+                minLiters: 500,
+                vatIncluded: true,       // Aufschläge/Gebühren inkl. USt.
+                tiers: [                 // €/L Auf-/Abschlag ab Menge
+                    { fromLiters: 500, adjustment: 0.06 },
+                    { fromLiters: 1000, adjustment: 0.03 },
+                    { fromLiters: 2000, adjustment: 0.01 },
+                    { fromLiters: 3000, adjustment: 0 },
+                    { fromLiters: 5000, adjustment: -0.015 }
+                ],
+                deliveryFee: 0,
+                extraDropFee: 25,        // je weiterer Abladestelle (Sammelbestellung)
+                smallOrderFee: { belowLiters: 1000, fee: 35 }
+            },
+            discounter: {
+                name: 'Diskonter (Online)',
+                minLiters: 1000,
+                vatIncluded: false,      // Netto-Preise, USt. kommt dazu
+                tiers: [
+                    { fromLiters: 1000, adjustment: 0.01 },
+                    { fromLiters: 3000, adjustment: -0.02 },
+                    { fromLiters: 6000, adjustment: -0.03 }
+                ],
+                deliveryFee: 49,
+                extraDropFee: 39,
+                smallOrderFee: null
+            },
+            flat: {
+                name: 'Pauschal (Marktpreis)',
+                minLiters: 0,
+                vatIncluded: true,
+                tiers: [{ fromLiters: 0, adjustment: 0 }],
+                deliveryFee: 0,
+                extraDropFee: 0,
+                smallOrderFee: null
+            }
+        }
+    },
+    
+    // Bestellplanung über den Prognosezeitraum
+    scheduler: {
+        stepLiters: 100,           // Raster für Bestellmengen und Füllstand
+        minOrderLiters: 500,       // Mindestbestellmenge (falls Lieferant keine vorgibt)
+        // Ohne gemessenen Verbrauch: Jahresverbrauch als Anteil des Tankvolumens
+        fallbackAnnualUsage: 0.8
     },
     
-    // 30%-Regel
-    strategy: {
-        emergencyFillPercent: 30,  // Bei kritischem Füllstand + hohem Preis
+    // Mehrere Tanks / Objekte
+    tanks: {
+        defaultName: 'Mein Tank',
+        // Tanks unter dem Zielfüllstand (thresholds.optimalFill) werden für eine
+        // Sammelbestellung vorgeschlagen; Tanks am selben Objekt = eine Abladestelle
+        jointOrderMinTanks: 2
     }
 };
 
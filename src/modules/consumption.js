@@ -0,0 +1,170 @@
+/**
+ * Consumption Module
+ * Consumption rate and range projection from logged tank level readings
+ */
+
+import { CONFIG } from './config.js';
+import { state } from './state.js';
+import { degreeDays, SCENARIOS } from './degree-days.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConsumptionAnalyzer {
+    constructor() {
+        this.analysis = null;
+    }
+    
+    /**
+     * Calculate average consumption in liters per day
+     * Intervals in which the level rises (refills) are ignored.
+     */
+    calculateRate(readings) {
+        if (!readings || readings.length < 2) return null;
+        
+        const sorted = [...readings].sort((a, b) => new Date(a.date) - new Date(b.date));
+        let consumed = 0;
+        let days = 0;
+        
+        for (let i = 1; i < sorted.length; i++) {
+            const prev = sorted[i - 1];
+            const curr = sorted[i];
+            const span = (new Date(curr.date) - new Date(prev.date)) / DAY_MS;
+            const delta = prev.level - curr.level;
+            
+            // Skip refills and duplicate timestamps
+            if (span <= 0 || delta < 0) continue;
+            
+            consumed += delta;
+            days += span;
+        }
+        
+        if (days < CONFIG.consumption.minSpanDays) return null;
+        
+        return consumed / days;
+    }
+    
+    /**
+     * Project days left, empty date and reorder date from current state
+     */
+    analyze(now = new Date()) {
+        this.analysis = this.project(
+            state.get('levelHistory') || [],
+            state.get('tankVolume'),
+            state.get('tankLevel'),
+            now,
+            state.get('weatherModel')
+        );
+        return this.analysis;
+    }
+    
+    /**
+     * Projection for any tank (readings, volume and level in liters)
+     * With a usable weather model (degree-days.js) usage follows the season; dates and
+     * days left then come from CONFIG.degreeDays.planScenario, all scenarios under `weather`.
+     */
+    project(readings, tankVolume, tankLevel, now = new Date(), weather = null) {
+        if (weather?.usable && tankVolume && tankLevel !== null) {
+            return this.projectWeather(readings, tankVolume, tankLevel, now, weather);
+        }
+        
+        const litersPerDay = this.calculateRate(readings);
+        
+        if (!litersPerDay || !tankVolume || tankLevel === null) {
+            return {
+                litersPerDay,
+                daysLeft: null,
+                weeksLeft: null,
+                emptyDate: null,
+                reorderDate: null,
+                readingsCount: readings.length
+            };
+        }
+        
+        // Projection starts at the last reading, not at "now"
+        const lastReading = readings[readings.length - 1];
+        const anchor = lastReading ? new Date(lastReading.date) : now;
+        
+        const reserveLiters = tankVolume * CONFIG.consumption.reserveLevel / 100;
+        const daysToEmpty = tankLevel / litersPerDay;
+        const daysToReserve = Math.max(0, (tankLevel - reserveLiters) / litersPerDay);
+        
+        const emptyDate = new Date(anchor.getTime() + daysToEmpty * DAY_MS);
+        const reorderDate = new Date(anchor.getTime() + (daysToReserve - CONFIG.consumption.reorderLeadDays) * DAY_MS);
+        const daysLeft = Math.max(0, (emptyDate - now) / DAY_MS);
+        
+        return {
+            litersPerDay,
+            daysLeft,
+            weeksLeft: daysLeft / 7,
+            emptyDate: emptyDate.toISOString().split('T')[0],
+            reorderDate: reorderDate.toISOString().split('T')[0],
+            readingsCount: readings.length
+        };
+    }
+    
+    /**
+     * Projection with seasonal usage for a cold, mean and mild winter
+     */
+    projectWeather(readings, tankVolume, tankLevel, now, weather) {
+        const lastReading = readings[readings.length - 1];
+        const anchor = lastReading ? new Date(lastReading.date) : now;
+        const reserveLiters = tankVolume * CONFIG.consumption.reserveLevel / 100;
+        
+        const scenarios = Object.fromEntries(SCENARIOS.map(scenario => {
+            const { daysToReserve, daysToEmpty } = this.walk(tankLevel, reserveLiters, anchor,
+                (date) => degreeDays.dailyUsage(weather, date, scenario));
+            const emptyDate = new Date(anchor.getTime() + daysToEmpty * DAY_MS);
+            const reorderDate = new Date(anchor.getTime() + (daysToReserve - CONFIG.consumption.reorderLeadDays) * DAY_MS);
+            
+            return [scenario, {
+                daysLeft: Math.max(0, (emptyDate - now) / DAY_MS),
+                emptyDate: emptyDate.toISOString().split('T')[0],
+                reorderDate: reorderDate.toISOString().split('T')[0]
+            }];
+        }));
+        
+        const planned = scenarios[CONFIG.degreeDays.planScenario] || scenarios.expected;
+        
+        return {
+            litersPerDay: degreeDays.dailyUsage(weather, now),
+            daysLeft: planned.daysLeft,
+            weeksLeft: planned.daysLeft / 7,
+            emptyDate: planned.emptyDate,
+            reorderDate: planned.reorderDate,
+            readingsCount: readings.length,
+            weather: {
+                scenario: CONFIG.degreeDays.planScenario,
+                litersPerDegreeDay: weather.fit.litersPerDegreeDay,
+                baseLitersPerDay: weather.fit.baseLitersPerDay,
+                seasonUsage: degreeDays.seasonUsage(weather),
+                scenarios
+            }
+        };
+    }
+    
+    /**
+     * Days until the level reaches the reserve and zero, consuming day by day
+     * (at most 5 years ahead, e.g. for a tank that is hardly used)
+     */
+    walk(level, reserveLiters, start, usageOn) {
+        let remaining = level;
+        let daysToReserve = remaining <= reserveLiters ? 0 : null;
+        let day = 0;
+        
+        while (remaining > 0 && day < 5 * 365) {
+            const usage = usageOn(new Date(start.getTime() + day * DAY_MS));
+            const fraction = usage >= remaining ? remaining / usage : 1;
+            
+            if (daysToReserve === null && remaining - usage <= reserveLiters) {
+                daysToReserve = day + (remaining - reserveLiters) / usage;
+            }
+            remaining -= usage;
+            day += fraction;
+        }
+        
+        return { daysToReserve: daysToReserve ?? day, daysToEmpty: day };
+    }
+}
+
+export const consumptionAnalyzer = new ConsumptionAnalyzer();
+export default ConsumptionAnalyzer;
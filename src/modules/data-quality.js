@@ -0,0 +1,223 @@
+/**
+ * Data Quality Module
+ * Validation and repair of monthly price series with a per-row problem report
+ */
+
+import { CONFIG } from './config.js';
+
+const SEVERITY = { error: 'error', warning: 'warning', info: 'info' };
+
+class PriceDataValidator {
+    /**
+     * Validate, sort, deduplicate, fill short gaps and replace outliers
+     * Every problem is reported with the row it came from (1-based, data rows;
+     * `row: null` for derived points without a source row).
+     * @param {Array} historical - [{date, price, row?}] as parsed from the source
+     * @param {?number} currentPrice - Checked against the last point
+     * @param {Object} options - resolution 'month' (one point per month, gaps filled)
+     *                           or 'day' (daily/weekly raw data, gaps are normal)
+     * @returns {{ historical: Array, currentPrice: ?number, report: Object }}
+     */
+    validate(historical, currentPrice = null, { resolution = 'month' } = {}) {
+        const monthly = resolution === 'month';
+        const periodKey = (date) => monthly ? this.monthKey(date) : date.toISOString().split('T')[0];
+        const issues = [];
+        const report = (row, date, type, severity, message) => issues.push({ row, date, type, severity, message });
+        
+        // 1. Rows with unusable date or price are dropped
+        const parsed = [];
+        (historical || []).forEach((entry, index) => {
+            const row = entry.row !== undefined ? entry.row : index + 1;
+            const date = new Date(entry.date);
+            const price = typeof entry.price === 'number' ? entry.price : NaN;
+            
+            if (!entry.date || isNaN(date.getTime())) {
+                report(row, entry.date ?? null, 'invalid-date', SEVERITY.error, `Ungültiges Datum „${entry.date ?? ''}“ – Zeile verworfen`);
+                return;
+            }
+            if (!Number.isFinite(price) || price <= 0) {
+                report(row, entry.date, 'invalid-price', SEVERITY.error, `Ungültiger Preis „${entry.price ?? ''}“ – Zeile verworfen`);
+                return;
+            }
+            
+            parsed.push({ row, key: periodKey(date), price });
+        });
+        
+        // 2. Sort by date
+        const unsorted = parsed.findIndex((p, i) => i > 0 && p.key < parsed[i - 1].key);
+        if (unsorted !== -1) {
+            report(parsed[unsorted].row, parsed[unsorted].key, 'unsorted', SEVERITY.warning, 'Daten nicht chronologisch sortiert – neu sortiert');
+        }
+        const sorted = [...parsed].sort((a, b) => a.key.localeCompare(b.key) || a.row - b.row);
+        
+        // 3. One value per period - the later row wins (assumed correction)
+        const byPeriod = new Map();
+        sorted.forEach(p => {
+            const existing = byPeriod.get(p.key);
+            if (existing) {
+                report(p.row, p.key, 'duplicate', SEVERITY.warning,
+                    `${monthly ? 'Monat' : 'Datum'} doppelt (auch Zeile ${existing.row}) – Wert ${p.price.toFixed(3)} übernommen`);
+            }
+            byPeriod.set(p.key, p);
+        });
+        const series = [...byPeriod.values()].map(p => ({ date: p.key, price: p.price, row: p.row }));
+        
+        // 4. Outliers: replaced by interpolation between their valid neighbours
+        const outliers = this.findOutliers(series);
+        const isOutlier = new Set(outliers.map(o => o.index));
+        outliers.forEach(({ index, median }) => {
+            const p = series[index];
+            const prev = series.slice(0, index).reverse().find((_, k) => !isOutlier.has(index - 1 - k));
+            const next = series.slice(index + 1).find((_, k) => !isOutlier.has(index + 1 + k));
+            const price = this.interpolate(prev, next, p.date) ?? median;
+            
+            report(p.row, p.date, 'outlier', SEVERITY.warning,
+                `Ausreißer ${p.price.toFixed(3)} €/L (Umfeld ~${median.toFixed(3)} €/L) – durch ${price.toFixed(3)} €/L ersetzt`);
+            series[index] = { ...p, price, original: p.price, interpolated: true };
+        });
+        
+        // 5. Gaps: short ones interpolated, long ones only reported (monthly data only)
+        const filled = [];
+        series.forEach((p, i) => {
+            const next = series[i + 1];
+            const { row, ...point } = p;
+            filled.push(point);
+            if (!next) return;
+            
+            const missing = this.monthsBetween(p.date, next.date) - 1;
+            if (!monthly || missing <= 0) return;
+            
+            if (missing <= CONFIG.quality.maxGapMonths) {
+                for (let k = 1; k <= missing; k++) {
+                    const date = this.addMonths(p.date, k);
+                    filled.push({ date, price: this.interpolate(p, next, date), interpolated: true });
+                }
+                report(next.row, p.date, 'gap-filled', SEVERITY.info,
+                    `${missing === 1 ? '1 fehlender Monat' : `${missing} fehlende Monate`} nach ${p.date} interpoliert`);
+            } else {
+                report(next.row, p.date, 'gap', SEVERITY.warning,
+                    `Lücke von ${missing} Monaten nach ${p.date} – zu lang zum Interpolieren`);
+            }
+        });
+        
+        // 6. Current price: must be plausible against the last point
+        const last = filled[filled.length - 1];
+        let current = currentPrice;
+        if (last && (!Number.isFinite(current) || current <= 0 || this.deviation(current, last.price) > CONFIG.quality.outlierThreshold)) {
+            if (current !== null && current !== undefined) {
+                report(null, null, 'current-price', SEVERITY.warning,
+                    `Aktueller Preis ${current} unplausibel – letzter Wert ${last.price.toFixed(3)} €/L verwendet`);
+            }
+            current = last.price;
+        }
+        
+        return {
+            historical: filled,
+            currentPrice: current,
+            report: {
+                ok: !issues.some(i => i.severity !== SEVERITY.info),
+                issues,
+                stats: {
+                    inputRows: (historical || []).length,
+                    months: monthly ? filled.length : null,
+                    points: filled.length,
+                    dropped: issues.filter(i => i.type === 'invalid-date' || i.type === 'invalid-price').length,
+                    duplicates: issues.filter(i => i.type === 'duplicate').length,
+                    outliers: outliers.length,
+                    interpolated: filled.filter(p => p.interpolated && p.original === undefined).length,
+                    gaps: issues.filter(i => i.type === 'gap').length,
+                    firstDate: filled[0]?.date || null,
+                    lastDate: last?.date || null
+                }
+            }
+        };
+    }
+    
+    /**
+     * Report for raw high-resolution data and the monthly series derived from it
+     */
+    mergeReports(raw, monthly) {
+        const sum = (key) => raw.stats[key] + monthly.stats[key];
+        
+        return {
+            ok: raw.ok && monthly.ok,
+            issues: [...raw.issues, ...monthly.issues],
+            stats: {
+                ...monthly.stats,
+                inputRows: raw.stats.inputRows,
+                points: raw.stats.points,
+                dropped: sum('dropped'),
+                duplicates: sum('duplicates'),
+                outliers: sum('outliers'),
+                firstDate: raw.stats.firstDate,
+                lastDate: raw.stats.lastDate
+            }
+        };
+    }
+    
+    /**
+     * Points deviating more than outlierThreshold from the median of their neighbours
+     */
+    findOutliers(series) {
+        const { outlierWindow: window, outlierThreshold } = CONFIG.quality;
+        const outliers = [];
+        
+        series.forEach((p, i) => {
+            const neighbours = series
+                .slice(Math.max(0, i - window), i + window + 1)
+                .filter((_, k) => k !== Math.min(i, window))
+                .map(n => n.price);
+            if (neighbours.length < 2) return;
+            
+            const median = this.median(neighbours);
+            if (this.deviation(p.price, median) > outlierThreshold) {
+                outliers.push({ index: i, median });
+            }
+        });
+        
+        return outliers;
+    }
+    
+    /**
+     * Linear interpolation between two points for a month in between
+     * With only one neighbour its price is used; without any, null.
+     */
+    interpolate(a, b, date) {
+        if (!a || !b) return (a || b)?.price ?? null;
+        
+        const share = this.monthsBetween(a.date, date) / this.monthsBetween(a.date, b.date);
+        return Math.round((a.price + (b.price - a.price) * share) * 1000) / 1000;
+    }
+    
+    /**
+     * Relative deviation on a log scale (symmetric for up/down)
+     */
+    deviation(value, reference) {
+        return Math.abs(Math.log(value / reference));
+    }
+    
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    
+    monthKey(date) {
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`;
+    }
+    
+    monthsBetween(from, to) {
+        const a = new Date(from);
+        const b = new Date(to);
+        return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+    }
+    
+    addMonths(date, months) {
+        const d = new Date(date);
+        d.setUTCMonth(d.getUTCMonth() + months);
+        return this.monthKey(d);
+    }
+}
+
+export const priceValidator = new PriceDataValidator();
+export default PriceDataValidator;
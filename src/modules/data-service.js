@@ -5,65 +5,291 @@
 
 import { CONFIG } from './config.js';
 import { state } from './state.js';
+import { regionRegistry } from './regions.js';
+import { priceSources } from './price-sources.js';
+import { resampler } from './resampling.js';
+
+// Set by the service worker (sw.js) on cached price responses
+const FETCHED_AT_HEADER = 'X-Fetched-At';
+const FROM_CACHE_HEADER = 'X-From-Cache';
 
 class DataService {
-    constructor() {
+    /**
+     * @param {StateManager} store - state the loaded data is published to (global app state unless given)
+     * @param {Function} fetchFn - fetch(url, options) resolving to a Response; the browser's fetch
+     *                             unless given (e.g. reading local files under Node)
+     * @param {Console} logger - where load messages go (the CLI keeps them off stdout)
+     */
+    constructor(store = state, fetchFn = null, logger = console) {
+        this.state = store;
+        this.fetch = fetchFn || ((url, options) => fetch(url, options));
+        this.logger = logger;
         this.cache = {
             priceData: null,
             lastFetch: null,
             cacheTimeout: CONFIG.data.refreshIntervalMs
         };
+        this.refreshListeners = [];
+        // ETag / Last-Modified and parsed result of the last response per URL
+        this.validators = new Map();
     }
     
     /**
-     * Load price data from JSON file
+     * Load price data of the selected region
+     * Falls back along the region's fallback chain if its file is missing.
      */
     async loadPriceData() {
         try {
-            state.set('isLoading', true);
-            state.set('error', null);
-            
-            const response = await fetch(CONFIG.data.priceUrl);
+            this.state.update({ isLoading: true, error: null });
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            const region = regionRegistry.getRegion();
+            const { data, source, fromCache, fetchedAt, unchanged } = await this.fetchRegionPrices(regionRegistry.getLoadChain());
+            const previous = this.state.get('priceData');
             
-            const data = await response.json();
+            data.metadata = {
+                ...data.metadata,
+                regionId: region.id,
+                sourceRegionId: source.id
+            };
             
-            // Validate data structure
-            if (!data.historical || !Array.isArray(data.historical)) {
-                throw new Error('Invalid data format: missing historical array');
+            if (source.id !== region.id) {
+                this.logger.warn(`Keine Preisdaten für ${region.name}, verwende ${source.name}`);
             }
             
-            // Update state
-            state.set('priceData', data);
-            state.set('currentPrice', data.currentPrice || data.historical[data.historical.length - 1].price);
-            state.set('lastUpdate', new Date().toISOString());
+            // Update state in one batch; an unchanged file (HTTP 304) only refreshes the timestamps
+            const sameData = unchanged && !this.state.get('isFallback') &&
+                previous?.metadata?.regionId === region.id &&
+                previous.metadata.sourceInfo?.url === data.metadata.sourceInfo.url;
+            
+            this.state.batch(() => {
+                if (!sameData) {
+                    this.state.update({
+                        region: { ...region, sourceId: source.id, sourceName: source.name },
+                        priceData: data,
+                        currentPrice: data.currentPrice || data.historical[data.historical.length - 1].price
+                    });
+                }
+                this.state.update({
+                    dataSource: fromCache ? 'cache' : 'network',
+                    isFallback: false,
+                    dataFetchedAt: fetchedAt,
+                    lastUpdate: new Date().toISOString(),
+                    isLoading: false
+                });
+                this.updateDataAge();
+            });
             
             this.cache.priceData = data;
             this.cache.lastFetch = Date.now();
             
-            state.set('isLoading', false);
-            
-            console.log(`📊 Daten geladen: ${data.historical.length} Monate`);
+            this.logger.log(sameData
+                ? `📊 Preisdaten unverändert (${source.name})`
+                : `📊 Daten geladen (${source.name}): ${data.historical.length} Monate` +
+                  (data.highResolution ? `, ${data.highResolution.length} Werte ${resampler.label(data.metadata.granularity)}` : ''));
             return data;
+        
+        } catch (error) {
+            this.logger.error('Failed to load price data:', error);
+            this.state.update({ error: error.message, isLoading: false });
             
+            // A failed background refresh keeps the real prices already shown for this region
+            const previous = this.state.get('priceData');
+            if (previous && !this.state.get('isFallback') && previous.metadata?.regionId === regionRegistry.regionId) {
+                this.updateDataAge();
+                return previous;
+            }
+            
+            // Synthetic prices keep the app usable, flagged so the UI warns about them
+            const fallback = this.generateFallbackData();
+            this.state.update({
+                region: { ...regionRegistry.getRegion(), sourceId: null, sourceName: fallback.metadata.source },
+                priceData: fallback,
+                currentPrice: fallback.currentPrice,
+                dataSource: 'fallback',
+                isFallback: true,
+                dataFetchedAt: null,
+                dataAge: null
+            });
+            return fallback;
+        }
+    }
+    
+    /**
+     * Age of the shown prices in ms (null for fallback data) and the current day
+     */
+    updateDataAge(now = Date.now()) {
+        const fetchedAt = this.state.get('dataFetchedAt');
+        const today = new Date(now).toISOString().split('T')[0];
+        
+        this.state.update({
+            dataAge: fetchedAt ? Math.max(0, now - new Date(fetchedAt).getTime()) : null,
+            ...(today !== this.state.get('today') && { today })
+        });
+    }
+    
+    /**
+     * Current price of any region without touching the app state
+     * Used by the combined tank view for tanks in other regions.
+     */
+    async loadRegionPrice(regionId) {
+        try {
+            const { data } = await this.fetchRegionPrices(regionRegistry.getLoadChain(regionId));
+            return data.currentPrice || data.historical[data.historical.length - 1].price;
         } catch (error) {
-            console.error('Failed to load price data:', error);
-            state.set('error', error.message);
-            state.set('isLoading', false);
+            this.logger.warn(`Failed to load prices for ${regionId}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch the first available price source along a region chain
+     * Each region's sources are tried in order (primary, secondary, ...),
+     * then the fallback region's. Offline, the service worker answers with
+     * the last good copy (fromCache).
+     */
+    async fetchRegionPrices(chain) {
+        const attempts = [];
+        let lastError = null;
+        
+        for (const region of chain) {
+            for (const priceSource of regionRegistry.getSources(region.id)) {
+                const label = priceSource.label || priceSource.url;
+                
+                try {
+                    const { response, cached } = await this.fetchConditional(priceSource.url);
+                    
+                    if (!cached && !response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    
+                    // Unchanged files are not parsed again; copied so callers can extend the metadata
+                    const parsed = cached || this.remember(priceSource.url, response,
+                        priceSources.parse(await response.text(), priceSource));
+                    const data = {
+                        ...parsed,
+                        metadata: { ...parsed.metadata, sourceInfo: { ...parsed.metadata.sourceInfo } }
+                    };
+                    attempts.push({ regionId: region.id, label, ok: true });
+                    data.metadata.sourceInfo.attempts = attempts;
+                    
+                    return {
+                        data,
+                        source: region,
+                        unchanged: Boolean(cached),
+                        fromCache: response.headers.get(FROM_CACHE_HEADER) === '1',
+                        fetchedAt: response.headers.get(FETCHED_AT_HEADER) || new Date().toISOString()
+                    };
+                } catch (error) {
+                    this.logger.warn(`Preisquelle ${label} (${region.id}) nicht verfügbar:`, error.message);
+                    attempts.push({ regionId: region.id, label, ok: false, error: error.message });
+                    lastError = error;
+                }
+            }
+        }
+        
+        throw lastError || new Error('No region selected');
+    }
+    
+    /**
+     * GET with If-None-Match / If-Modified-Since from the last response for this URL
+     * @returns {{ response: Response, cached: ?Object }} cached = previous result on HTTP 304
+     */
+    async fetchConditional(url) {
+        const known = this.validators.get(url);
+        const headers = {};
+        
+        if (known?.etag) headers['If-None-Match'] = known.etag;
+        if (known?.lastModified) headers['If-Modified-Since'] = known.lastModified;
+        
+        const response = await this.fetch(url, { headers });
+        
+        return {
+            response,
+            cached: response.status === 304 && known ? known.result : null
+        };
+    }
+    
+    /**
+     * Keep a response's validators with its parsed result
+     * @returns {Object} The result, for chaining
+     */
+    remember(url, response, result) {
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+        
+        if (etag || lastModified) {
+            this.validators.set(url, { etag, lastModified, result });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Load crude/heating oil quotes collected by scripts/oil_price_tracker.py
+     * Optional: failures only disable the leading indicators.
+     */
+    async loadMarketData(url = CONFIG.data.marketUrl) {
+        try {
+            const { response, cached } = await this.fetchConditional(url);
+            
+            if (cached) {
+                if (this.state.get('marketData') !== cached) this.state.set('marketData', cached);
+                return cached;
+            }
             
-            // Return fallback data
-            return this.generateFallbackData();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const marketData = this.remember(url, response,
+                this.parseMarketHistory(await response.json()));
+            this.state.set('marketData', marketData);
+            
+            this.logger.log(`🛢️ Marktdaten geladen: ${marketData.observations} Einträge`);
+            return marketData;
+        
+        } catch (error) {
+            // Quotes from an earlier load stay valid if a refresh fails
+            this.logger.warn('Failed to load market data:', error);
+            return this.state.get('marketData');
         }
     }
     
+    /**
+     * Turn tracker history into one sorted series per commodity code
+     */
+    parseMarketHistory(data) {
+        if (!data?.history || !Array.isArray(data.history)) {
+            throw new Error('Invalid market data format: missing history array');
+        }
+        
+        const series = {};
+        
+        data.history.forEach(entry => {
+            const date = entry.date.split('T')[0];
+            
+            (entry.prices || []).forEach(q => {
+                if (!Number.isFinite(q.price)) return;
+                if (!series[q.code]) series[q.code] = [];
+                series[q.code].push({ date, price: q.price });
+            });
+        });
+        
+        Object.values(series).forEach(s => s.sort((a, b) => new Date(a.date) - new Date(b.date)));
+        
+        return {
+            series,
+            observations: data.history.length,
+            lastDate: data.history[data.history.length - 1]?.date || null
+        };
+    }
+    
     /**
      * Generate fallback data if API fails
      */
     generateFallbackData() {
         const historical = [];
+        const seasonalFactors = regionRegistry.getSeasonalFactors();
         const baseDate = new Date();
         baseDate.setFullYear(baseDate.getFullYear() - 4);
         
@@ -72,7 +298,7 @@ class DataService {
             date.setMonth(date.getMonth() + i);
             
             const month = date.getMonth();
-            const seasonalFactor = CONFIG.forecast.seasonalFactors[month];
+            const seasonalFactor = seasonalFactors[month];
             const base = 1.10;
             const yearlyTrend = (date.getFullYear() - 2022) * 0.02;
             
@@ -86,7 +312,7 @@ class DataService {
         
         return {
             metadata: {
-                region: CONFIG.app.region,
+                region: regionRegistry.getRegion().name,
                 source: 'Fallback (offline)'
             },
             historical,
@@ -99,7 +325,7 @@ class DataService {
      * Find historical price for specific month/year
      */
     findHistoricalPrice(month, year) {
-        const priceData = state.get('priceData');
+        const priceData = this.state.get('priceData');
         if (!priceData?.historical) return null;
         
         return priceData.historical.find(h => {
@@ -108,6 +334,25 @@ class DataService {
         });
     }
     
+    /**
+     * Price on a given day
+     * Uses the raw daily/weekly series where available, otherwise the month's value.
+     */
+    findPriceAt(date) {
+        const priceData = this.state.get('priceData');
+        const target = new Date(date);
+        const points = priceData?.highResolution;
+        
+        if (points?.length) {
+            const match = points.filter(p => new Date(p.date) <= target).pop();
+            const maxAgeMs = resampler.periodDays(priceData.metadata.granularity) * 24 * 60 * 60 * 1000;
+            
+            if (match && target - new Date(match.date) < maxAgeMs) return match;
+        }
+        
+        return this.findHistoricalPrice(target.getMonth(), target.getFullYear());
+    }
+    
     /**
      * Get previous year prices for a month
      * @param {number} month - Month index (0-11)
@@ -139,12 +384,32 @@ class DataService {
                (Date.now() - this.cache.lastFetch) < this.cache.cacheTimeout;
     }
     
+    /**
+     * Run a callback after every refresh (e.g. price alerts)
+     */
+    onRefresh(callback) {
+        this.refreshListeners.push(callback);
+        return () => {
+            this.refreshListeners = this.refreshListeners.filter(cb => cb !== callback);
+        };
+    }
+    
     /**
      * Force refresh data
      */
     async refresh() {
         this.cache.lastFetch = null;
-        return this.loadPriceData();
+        const data = await this.loadPriceData();
+        
+        for (const callback of this.refreshListeners) {
+            try {
+                await callback(data);
+            } catch (error) {
+                this.logger.error('Refresh listener failed:', error);
+            }
+        }
+        
+        return data;
     }
 }
 
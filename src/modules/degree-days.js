@@ -0,0 +1,252 @@
+/**
+ * Degree Days Module
+ * Heating degree days from daily mean temperatures, the household's liters per
+ * degree day fitted from the logged readings, and consumption for a cold, mean
+ * and mild winter from the station's climatology
+ */
+
+import { CONFIG } from './config.js';
+import { parseDate, parseNumber, splitRows } from './price-sources.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SCENARIOS = ['expected', 'cold', 'mild'];
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date or timestamp
+ */
+function toDay(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+    return toDay(new Date(day).getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Quantile of sorted values (linear between neighbours)
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+class DegreeDays {
+    /**
+     * Daily mean temperatures from CSV: date and temperature per line, header optional
+     * The temperature column is found by its header (temp, tm, mittel, ...), else the second column.
+     * @returns {{ days: Array<{date: string, temp: number}>, errors: string[] }}
+     */
+    parseTemperatures(text) {
+        const rows = splitRows(String(text || '')).filter(row => !row[0].startsWith('#'));
+        const errors = [];
+        
+        const hasHeader = rows.length && !parseDate(rows[0][0]);
+        const header = hasHeader ? rows[0].map(cell => cell.toLowerCase()) : [];
+        const found = header.findIndex((cell, i) => i > 0 && /temp|mittel|^tm|^t$|tmean/.test(cell));
+        const column = found > 0 ? found : 1;
+        
+        const byDate = new Map();
+        rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+            const line = i + (hasHeader ? 2 : 1);
+            const date = parseDate(row[0]);
+            const temp = parseNumber(row[column]);
+            
+            if (!date) {
+                errors.push(`Zeile ${line}: Datum „${row[0]}“ nicht erkannt`);
+            } else if (!Number.isFinite(temp) || temp < -60 || temp > 50) {
+                errors.push(`Zeile ${line}: Temperatur „${row[column] ?? ''}“ ungültig`);
+            } else {
+                byDate.set(date, temp);
+            }
+        });
+        
+        const days = [...byDate.entries()]
+            .map(([date, temp]) => ({ date, temp }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        
+        if (!days.length) errors.unshift('Keine Tageswerte im Format Datum;Tagesmittel (°C) gefunden');
+        
+        return { days, errors };
+    }
+    
+    /**
+     * Heating degree days of one day (HGT 20/12)
+     */
+    degreeDay(temp) {
+        const { indoorTemp, heatingLimit } = CONFIG.degreeDays;
+        return temp < heatingLimit ? indoorTemp - temp : 0;
+    }
+    
+    /**
+     * Degree days per calendar day
+     */
+    toSeries(days) {
+        return new Map(days.map(d => [d.date, this.degreeDay(d.temp)]));
+    }
+    
+    /**
+     * Consumption and degree days per interval between readings
+     * Refills and intervals with too few temperature values are skipped;
+     * small gaps are filled with the interval's mean.
+     */
+    collectIntervals(readings, series) {
+        const sorted = [...readings].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const intervals = [];
+        
+        for (let i = 1; i < sorted.length; i++) {
+            const from = toDay(sorted[i - 1].date);
+            const to = toDay(sorted[i].date);
+            const days = Math.round((new Date(to) - new Date(from)) / DAY_MS);
+            const liters = sorted[i - 1].level - sorted[i].level;
+            if (days <= 0 || liters < 0) continue;
+            
+            let degreeDays = 0;
+            let covered = 0;
+            for (let day = from; day < to; day = addDays(day, 1)) {
+                if (!series.has(day)) continue;
+                degreeDays += series.get(day);
+                covered++;
+            }
+            
+            if (covered / days < CONFIG.degreeDays.minCoverage) continue;
+            intervals.push({ from, to, days, liters, degreeDays: degreeDays * days / covered });
+        }
+        
+        return intervals;
+    }
+    
+    /**
+     * Fit liters = base × days + k × degree days (least squares, no intercept)
+     * The base load (hot water) needs intervals in and outside the heating season;
+     * without a positive solution all usage is put on the degree days.
+     * @returns {?{ litersPerDegreeDay: number, baseLitersPerDay: number, intervals: number }}
+     */
+    fit(intervals) {
+        if (intervals.length < CONFIG.degreeDays.minIntervals) return null;
+        
+        const sum = (fn) => intervals.reduce((total, x) => total + fn(x), 0);
+        const sdd = sum(x => x.days * x.days);
+        const shh = sum(x => x.degreeDays * x.degreeDays);
+        const sdh = sum(x => x.days * x.degreeDays);
+        const sdl = sum(x => x.days * x.liters);
+        const shl = sum(x => x.degreeDays * x.liters);
+        const det = sdd * shh - sdh * sdh;
+        
+        // Intervals with the same degree days per day cannot separate base load and heating
+        const solvable = det > 1e-9 * sdd * shh;
+        let base = solvable ? (sdl * shh - shl * sdh) / det : -1;
+        let k = solvable ? (shl * sdd - sdl * sdh) / det : -1;
+        
+        if (base < 0 || k < 0) {
+            const degreeDays = sum(x => x.degreeDays);
+            base = 0;
+            k = degreeDays > 0 ? sum(x => x.liters) / degreeDays : 0;
+        }
+        
+        if (!(k > 0)) return null;
+        return { litersPerDegreeDay: k, baseLitersPerDay: base, intervals: intervals.length };
+    }
+    
+    /**
+     * Mean degree days per day for each calendar month: mean, cold and mild winter
+     * over all years with enough values in that month
+     * @returns {?Array<{month: number, years: number, expected: number, cold: number, mild: number}>}
+     *          null unless every month has at least one year
+     */
+    climatology(days) {
+        const months = new Map();
+        
+        days.forEach(d => {
+            const key = d.date.slice(0, 7);
+            const entry = months.get(key) || { sum: 0, count: 0 };
+            entry.sum += this.degreeDay(d.temp);
+            entry.count++;
+            months.set(key, entry);
+        });
+        
+        const perMonth = Array.from({ length: 12 }, () => []);
+        months.forEach((entry, key) => {
+            const [year, month] = key.split('-').map(Number);
+            if (entry.count / daysInMonth(year, month - 1) >= CONFIG.degreeDays.minCoverage) {
+                perMonth[month - 1].push(entry.sum / entry.count);
+            }
+        });
+        
+        if (perMonth.some(values => !values.length)) return null;
+        
+        return perMonth.map((values, month) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                month,
+                years: values.length,
+                expected: values.reduce((a, b) => a + b, 0) / values.length,
+                cold: quantile(sorted, CONFIG.degreeDays.coldQuantile),
+                mild: quantile(sorted, CONFIG.degreeDays.mildQuantile)
+            };
+        });
+    }
+    
+    /**
+     * Weather model for a tank: fit from its readings plus the station climatology
+     * @param {?{station: string, days: Array}} temperatures - imported series
+     * @returns {?Object} null without temperatures; `usable` once fit and climatology exist
+     */
+    analyze(temperatures, readings = []) {
+        if (!temperatures?.days?.length) return null;
+        
+        const days = temperatures.days;
+        const intervals = this.collectIntervals(readings, this.toSeries(days));
+        const fit = this.fit(intervals);
+        const climatology = this.climatology(days);
+        
+        return {
+            station: temperatures.station || null,
+            from: days[0].date,
+            to: days[days.length - 1].date,
+            dayCount: days.length,
+            years: climatology ? Math.min(...climatology.map(m => m.years)) : 0,
+            intervals: intervals.length,
+            fit,
+            climatology,
+            usable: Boolean(fit && climatology)
+        };
+    }
+    
+    /**
+     * Expected liters per day on a date for a scenario ('expected', 'cold', 'mild')
+     */
+    dailyUsage(model, date, scenario = 'expected') {
+        const month = model.climatology[new Date(date).getUTCMonth()];
+        return model.fit.baseLitersPerDay + model.fit.litersPerDegreeDay * month[scenario];
+    }
+    
+    /**
+     * Liters for the calendar month of `date`
+     */
+    monthlyUsage(model, date, scenario = 'expected') {
+        const d = new Date(date);
+        return this.dailyUsage(model, d, scenario) * daysInMonth(d.getUTCFullYear(), d.getUTCMonth());
+    }
+    
+    /**
+     * Liters per heating season (September to May) for each scenario
+     */
+    seasonUsage(model) {
+        const season = [8, 9, 10, 11, 0, 1, 2, 3, 4];
+        
+        return Object.fromEntries(SCENARIOS.map(scenario => [
+            scenario,
+            Math.round(season.reduce((sum, month) => sum + this.monthlyUsage(model, Date.UTC(2001, month, 1), scenario), 0))
+        ]));
+    }
+}
+
+export const degreeDays = new DegreeDays();
+export default DegreeDays;
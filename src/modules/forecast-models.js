@@ -0,0 +1,314 @@
+/**
+ * Forecast Models Module
+ * Interchangeable forecast models behind a common interface and registry
+ *
+ * Every model returns the same shape that getChartData() and
+ * RecommendationEngine consume: { expected, bestCase, worstCase, intervals, metadata }.
+ * bestCase/worstCase are the bounds of the primary interval level.
+ */
+
+import { CONFIG } from './config.js';
+import { seasonality } from './seasonality.js';
+import { predictionIntervals } from './intervals.js';
+
+/**
+ * Slope of a simple linear regression over a price series (€/L per step)
+ */
+export function linearTrend(series) {
+    if (series.length < 2) return 0;
+    
+    const n = series.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+    
+    series.forEach((item, i) => {
+        sumX += i;
+        sumY += item.price;
+        sumXY += i * item.price;
+        sumX2 += i * i;
+    });
+    
+    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    return slope || 0;
+}
+
+/**
+ * Base class - subclasses implement predict()
+ */
+export class ForecastModel {
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+    }
+    
+    /**
+     * Point forecast for the next `months` steps
+     * @returns {{ prices: number[], metadata: Object }}
+     */
+    predict(historical, months, params) {
+        throw new Error(`Model ${this.id} does not implement predict()`);
+    }
+    
+    /**
+     * Full forecast with dates and nested prediction intervals
+     */
+    forecast(historical, months, params) {
+        const { prices, metadata } = this.predict(historical, months, params);
+        const intervals = predictionIntervals.estimate(this, historical, months, params);
+        const primary = CONFIG.forecast.intervals.primaryLevel;
+        const last = historical[historical.length - 1];
+        const lastDate = new Date(last.date);
+        
+        const forecast = {
+            expected: [],
+            bestCase: [],
+            worstCase: [],
+            intervals: intervals.levels.map(level => ({ level, lower: [], upper: [] })),
+            metadata: {
+                model: this.id,
+                basePrice: last.price,
+                ...metadata,
+                intervalMethod: intervals.method,
+                params,
+                generatedAt: new Date().toISOString()
+            }
+        };
+        
+        prices.forEach((expectedPrice, index) => {
+            const i = index + 1;
+            const date = new Date(lastDate);
+            date.setMonth(date.getMonth() + i);
+            
+            const dateStr = date.toISOString().split('T')[0];
+            const bands = intervals.horizons[index];
+            
+            forecast.intervals.forEach(interval => {
+                const band = bands[interval.level];
+                interval.lower.push({ date: dateStr, price: Math.max(0.50, expectedPrice * band.lower) });
+                interval.upper.push({ date: dateStr, price: expectedPrice * band.upper });
+            });
+            
+            forecast.expected.push({ date: dateStr, price: Math.max(0.50, expectedPrice) });
+            forecast.bestCase.push({ date: dateStr, price: Math.max(0.50, expectedPrice * bands[primary].lower) });
+            forecast.worstCase.push({ date: dateStr, price: expectedPrice * bands[primary].upper });
+        });
+        
+        return forecast;
+    }
+}
+
+/**
+ * Linear trend plus seasonal factors (the original model)
+ */
+class SeasonalTrendModel extends ForecastModel {
+    constructor() {
+        super('trend', 'Trend + Saison');
+    }
+    
+    predict(historical, months, params) {
+        const last = historical[historical.length - 1];
+        const lastMonth = new Date(last.date).getMonth();
+        
+        // Trend from the last trendWindow months
+        const trend = linearTrend(historical.slice(-params.trendWindow));
+        
+        // Seasonal profile estimated from history (config table as fallback)
+        const seasonal = seasonality.getSeasonalFactors(historical);
+        
+        // Remove the last observation's own seasonal effect
+        const deseasonalizedPrice = last.price / seasonal.factors[lastMonth];
+        
+        const prices = [];
+        for (let i = 1; i <= months; i++) {
+            const month = (lastMonth + i) % 12;
+            prices.push(deseasonalizedPrice * seasonal.factors[month] + trend * i);
+        }
+        
+        return {
+            prices,
+            metadata: {
+                trend,
+                seasonalFactors: seasonal.factors,
+                seasonalSource: seasonal.source
+            }
+        };
+    }
+}
+
+/**
+ * Seasonal naive: same price as in the same month one year earlier
+ */
+class SeasonalNaiveModel extends ForecastModel {
+    constructor() {
+        super('seasonal-naive', 'Saisonal naiv');
+    }
+    
+    predict(historical, months) {
+        const n = historical.length;
+        const prices = [];
+        
+        for (let i = 1; i <= months; i++) {
+            prices.push(historical[n - 12 + ((i - 1) % 12)].price);
+        }
+        
+        return { prices, metadata: { seasonLength: 12 } };
+    }
+}
+
+/**
+ * Drift: straight line from the first to the last observation
+ */
+class DriftModel extends ForecastModel {
+    constructor() {
+        super('drift', 'Drift');
+    }
+    
+    predict(historical, months) {
+        const n = historical.length;
+        const first = historical[0].price;
+        const last = historical[n - 1].price;
+        const drift = (last - first) / (n - 1);
+        
+        const prices = [];
+        for (let i = 1; i <= months; i++) {
+            prices.push(last + drift * i);
+        }
+        
+        return { prices, metadata: { trend: drift } };
+    }
+}
+
+/**
+ * Holt-Winters with damped additive trend and multiplicative seasonality
+ */
+class HoltWintersModel extends ForecastModel {
+    constructor() {
+        super('holt-winters', 'Holt-Winters (gedämpft)');
+    }
+    
+    predict(historical, months, params) {
+        const { alpha, beta, gamma, phi } = { ...CONFIG.forecast.holtWinters, ...params.holtWinters };
+        
+        // Initial seasonal indices (one per calendar month) from the decomposition of the same history
+        const initial = seasonality.getSeasonalFactors(historical).factors;
+        const season = Array.from({ length: 12 }, (_, month) => initial[month]);
+        const firstMonth = new Date(historical[0].date).getMonth();
+        
+        let level = historical[0].price / season[firstMonth];
+        let trend = 0;
+        
+        for (let t = 1; t < historical.length; t++) {
+            const price = historical[t].price;
+            const month = new Date(historical[t].date).getMonth();
+            const prevLevel = level;
+            
+            level = alpha * (price / season[month]) + (1 - alpha) * (prevLevel + phi * trend);
+            trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+            season[month] = gamma * (price / level) + (1 - gamma) * season[month];
+            
+            // After each full season the indices drift; rescale them to mean 1
+            // and move the scale into level and trend so the fit is unchanged
+            if (t % 12 === 0) {
+                const mean = season.reduce((sum, f) => sum + f, 0) / 12;
+                season.forEach((f, m) => { season[m] = f / mean; });
+                level *= mean;
+                trend *= mean;
+            }
+        }
+        
+        const lastMonth = new Date(historical[historical.length - 1].date).getMonth();
+        const prices = [];
+        let dampedSum = 0;
+        
+        for (let i = 1; i <= months; i++) {
+            dampedSum += Math.pow(phi, i);
+            prices.push((level + dampedSum * trend) * season[(lastMonth + i) % 12]);
+        }
+        
+        return {
+            prices,
+            metadata: {
+                level,
+                trend,
+                seasonalFactors: season,
+                smoothing: { alpha, beta, gamma, phi }
+            }
+        };
+    }
+}
+
+/**
+ * Weighted average of the other models
+ */
+class EnsembleModel extends ForecastModel {
+    constructor(registry) {
+        super('ensemble', 'Ensemble (gewichtet)');
+        this.registry = registry;
+    }
+    
+    /**
+     * Weighted average of the members' point forecasts
+     * Intervals are then estimated from the ensemble's own past errors.
+     */
+    predict(historical, months, params) {
+        const weights = params.ensembleWeights || CONFIG.forecast.ensembleWeights;
+        
+        const members = Object.entries(weights)
+            .filter(([id, weight]) => weight > 0 && id !== this.id && this.registry.has(id))
+            .map(([id, weight]) => ({
+                id,
+                weight,
+                prices: this.registry.get(id).predict(historical, months, params).prices
+            }));
+        
+        const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+        const prices = [];
+        
+        for (let i = 0; i < months; i++) {
+            prices.push(members.reduce((sum, m) => sum + m.prices[i] * m.weight, 0) / totalWeight);
+        }
+        
+        return {
+            prices,
+            metadata: {
+                members: members.map(m => ({ id: m.id, weight: m.weight / totalWeight }))
+            }
+        };
+    }
+}
+
+class ModelRegistry {
+    constructor() {
+        this.models = new Map();
+    }
+    
+    register(model) {
+        this.models.set(model.id, model);
+        return this;
+    }
+    
+    has(id) {
+        return this.models.has(id);
+    }
+    
+    get(id) {
+        return this.models.get(id) || null;
+    }
+    
+    /**
+     * Models for selection in the UI
+     */
+    list() {
+        return [...this.models.values()].map(m => ({ id: m.id, label: m.label }));
+    }
+}
+
+export const modelRegistry = new ModelRegistry();
+
+modelRegistry
+    .register(new SeasonalTrendModel())
+    .register(new SeasonalNaiveModel())
+    .register(new HoltWintersModel())
+    .register(new DriftModel())
+    .register(new EnsembleModel(modelRegistry));
+
+export default ModelRegistry;
@@ -1,121 +1,116 @@
 /**
  * Forecast Module
- * Enhanced forecast engine with trend analysis and confidence intervals
+ * Forecast engine with pluggable models and confidence intervals
  */
 
 import { CONFIG } from './config.js';
 import { state } from './state.js';
+import { modelRegistry, linearTrend } from './forecast-models.js';
+import { coneUncertainty } from './intervals.js';
+import { leadingIndicators } from './indicators.js';
+import { resampler } from './resampling.js';
 
 class ForecastEngine {
-    constructor() {
-        this.forecast = null;
+    /**
+     * @param {StateManager} store - state to read prices from and publish the forecast to
+     *                               (the global app state unless given, e.g. by the CLI)
+     * @param {Console} logger - where warnings go
+     */
+    constructor(store = state, logger = console) {
+        this.state = store;
+        this.logger = logger;
+        
+        // Recomputed whenever prices, market data or the model setting change;
+        // the settings are the only place the selected model lives
+        store
+            .derive('forecastModel', ['settings'], (settings) =>
+                modelRegistry.has(settings?.forecastModel) ? settings.forecastModel : CONFIG.forecast.defaultModel)
+            .derive('forecast', ['priceData', 'marketData', 'forecastModel'], (priceData, marketData, model) =>
+                priceData ? this.buildForecast(priceData.historical, CONFIG.forecast.months, { marketData, model }) : null);
     }
     
     /**
-     * Generate price forecast using Holt-Winters-like approach
+     * Current forecast - derived in state from prices, market data and the selected model
      */
-    generateForecast(months = CONFIG.forecast.months) {
-        const priceData = state.get('priceData');
-        if (!priceData?.historical || priceData.historical.length < 12) {
-            console.warn('Not enough historical data for forecast');
+    get forecast() {
+        return this.state.get('forecast');
+    }
+    
+    /**
+     * Build price forecast with the selected model
+     * Pure: uses only the given history, does not touch state
+     * @param {Object} options - `model` id (selected model by default), optional `marketData` for leading indicators,
+     *                           plus overrides for baseUncertainty, uncertaintyGrowthPerMonth, trendWindow
+     */
+    buildForecast(series, months = CONFIG.forecast.months, options = {}) {
+        const { model: modelId = this.state.get('forecastModel'), marketData = null, ...overrides } = options;
+        const params = { ...this.getDefaultParams(), ...overrides };
+        
+        // Daily/weekly input is averaged to the models' monthly working frequency
+        const historical = resampler.toWorkingFrequency(series);
+        
+        if (!historical || historical.length < 12) {
+            this.logger.warn('Not enough historical data for forecast');
             return null;
         }
         
-        const historical = priceData.historical;
-        const lastPrice = historical[historical.length - 1].price;
-        const lastDate = new Date(historical[historical.length - 1].date);
-        
-        // Calculate trend from last 12 months
-        const trend = this.calculateTrend(historical);
-        
-        // Generate forecast
-        const forecast = {
-            expected: [],
-            bestCase: [],
-            worstCase: [],
-            metadata: {
-                basePrice: lastPrice,
-                trend: trend,
-                generatedAt: new Date().toISOString()
-            }
-        };
+        const model = modelRegistry.get(modelId) || modelRegistry.get(CONFIG.forecast.defaultModel);
         
-        for (let i = 1; i <= months; i++) {
-            const date = new Date(lastDate);
-            date.setMonth(date.getMonth() + i);
-            
-            const month = date.getMonth();
-            
-            // Get seasonal factor
-            const seasonalFactor = CONFIG.forecast.seasonalFactors[month];
-            
-            // Calculate expected price with trend
-            const trendComponent = trend * i;
-            const expectedPrice = lastPrice * seasonalFactor + trendComponent;
-            
-            // Calculate uncertainty (grows with time)
-            const uncertainty = this.calculateUncertainty(i);
-            
-            // Best and worst case
-            const bestPrice = expectedPrice * (1 - uncertainty);
-            const worstPrice = expectedPrice * (1 + uncertainty);
-            
-            const dateStr = date.toISOString().split('T')[0];
-            
-            forecast.expected.push({ date: dateStr, price: Math.max(0.50, expectedPrice) });
-            forecast.bestCase.push({ date: dateStr, price: Math.max(0.50, bestPrice) });
-            forecast.worstCase.push({ date: dateStr, price: worstPrice });
-        }
+        const forecast = model.forecast(historical, months, params);
         
-        this.forecast = forecast;
-        state.set('forecast', forecast);
+        // Shift by futures moves that have not reached retail prices yet
+        if (marketData) {
+            const analysis = leadingIndicators.analyze(historical, marketData);
+            return leadingIndicators.applyToForecast(forecast, historical, marketData, analysis);
+        }
         
         return forecast;
     }
     
+    /**
+     * Available forecast models
+     */
+    getModels() {
+        return modelRegistry.list();
+    }
+    
+    /**
+     * Default tuning parameters from config
+     */
+    getDefaultParams() {
+        return {
+            baseUncertainty: CONFIG.forecast.baseUncertainty,
+            uncertaintyGrowthPerMonth: CONFIG.forecast.uncertaintyGrowthPerMonth,
+            trendWindow: CONFIG.forecast.trendWindow
+        };
+    }
+    
     /**
      * Calculate trend from historical data
-     * Uses linear regression on last 12 months
+     * Uses linear regression on the last `window` months
      */
-    calculateTrend(historical) {
-        const recent = historical.slice(-12);
-        if (recent.length < 2) return 0;
-        
-        // Simple linear regression
-        const n = recent.length;
-        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-        
-        recent.forEach((item, i) => {
-            sumX += i;
-            sumY += item.price;
-            sumXY += i * item.price;
-            sumX2 += i * i;
-        });
-        
-        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-        
-        // Return monthly price change (€/Liter per month)
-        return slope || 0;
+    calculateTrend(historical, window = CONFIG.forecast.trendWindow) {
+        // Monthly price change (€/Liter per month)
+        return linearTrend(historical.slice(-window));
     }
     
     /**
      * Calculate uncertainty for a given month ahead
      * Conical uncertainty that grows with time
      */
-    calculateUncertainty(monthsAhead) {
-        return CONFIG.forecast.baseUncertainty + 
-               (monthsAhead * CONFIG.forecast.uncertaintyGrowthPerMonth);
+    calculateUncertainty(monthsAhead, params = this.getDefaultParams()) {
+        return coneUncertainty(monthsAhead, params);
     }
     
     /**
      * Find the best buying time in forecast
      */
-    findBestBuyingTime() {
-        if (!this.forecast?.expected) return null;
+    findBestBuyingTime(forecast = this.forecast) {
+        if (!forecast?.expected?.length) return null;
         
-        let best = this.forecast.expected[0];
+        let best = forecast.expected[0];
         
-        this.forecast.expected.forEach(item => {
+        forecast.expected.forEach(item => {
             if (item.price < best.price) {
                 best = item;
             }
@@ -132,8 +127,7 @@ class ForecastEngine {
     /**
      * Check if current price is high relative to forecast
      */
-    isPriceHigh(currentPrice) {
-        const bestTime = this.findBestBuyingTime();
+    isPriceHigh(currentPrice, bestTime = this.findBestBuyingTime()) {
         if (!bestTime) return false;
         
         return currentPrice > (bestTime.price * CONFIG.thresholds.highPriceMultiplier);
@@ -176,19 +170,30 @@ class ForecastEngine {
      * Get chart-ready data
      */
     getChartData() {
-        const priceData = state.get('priceData');
+        const priceData = this.state.get('priceData');
         const forecast = this.forecast;
         
         if (!priceData || !forecast) return null;
         
+        const toPoints = (series) => series.map(d => ({ x: d.date, y: d.price }));
+        
         return {
-            historical: priceData.historical.map(d => ({ x: d.date, y: d.price })),
-            expected: forecast.expected.map(d => ({ x: d.date, y: d.price })),
-            bestCase: forecast.bestCase.map(d => ({ x: d.date, y: d.price })),
-            worstCase: forecast.worstCase.map(d => ({ x: d.date, y: d.price }))
+            historical: priceData.historical.map(d => ({ x: d.date, y: d.price, interpolated: Boolean(d.interpolated) })),
+            // Raw daily/weekly prices, if the source is finer than monthly
+            highResolution: priceData.highResolution ? toPoints(priceData.highResolution) : null,
+            granularity: priceData.metadata?.granularity || CONFIG.forecast.frequency,
+            expected: toPoints(forecast.expected),
+            bestCase: toPoints(forecast.bestCase),
+            worstCase: toPoints(forecast.worstCase),
+            intervals: (forecast.intervals || []).map(i => ({
+                level: i.level,
+                lower: toPoints(i.lower),
+                upper: toPoints(i.upper)
+            }))
         };
     }
 }
 
 export const forecastEngine = new ForecastEngine();
+
 export default ForecastEngine;
\ No newline at end of file
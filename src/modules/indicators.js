@@ -0,0 +1,198 @@
+/**
+ * Leading Indicators Module
+ * Crude/heating oil futures as lagged regressors for Austrian retail prices
+ */
+
+import { CONFIG } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+class LeadingIndicatorAnalyzer {
+    constructor() {
+        this.analysis = null;
+    }
+    
+    /**
+     * Estimate pass-through lag and elasticity for every configured indicator
+     * @param {Array} historical - Retail series [{date, price}]
+     * @param {Object} marketData - Parsed tracker history from DataService
+     */
+    analyze(historical, marketData) {
+        if (!historical?.length || !marketData?.series) {
+            this.analysis = null;
+            return null;
+        }
+        
+        const indicators = CONFIG.indicators.codes
+            .filter(code => marketData.series[code]?.length)
+            .map(code => this.estimate(code, historical, marketData.series[code]))
+            .filter(Boolean);
+        
+        const best = indicators
+            .filter(i => i.rSquared >= CONFIG.indicators.minRSquared)
+            .sort((a, b) => b.rSquared - a.rSquared)[0] || null;
+        
+        this.analysis = { indicators, best };
+        return this.analysis;
+    }
+    
+    /**
+     * Grid-search the lag (in weeks) with the best fit of
+     * retail change ~ elasticity × lagged indicator change (log changes)
+     */
+    estimate(code, historical, series) {
+        const { changeWindowWeeks: window, maxLagWeeks, minObservations } = CONFIG.indicators;
+        
+        const retailStart = new Date(historical[0].date).getTime();
+        const retailEnd = new Date(historical[historical.length - 1].date).getTime();
+        const start = Math.max(retailStart, new Date(series[0].date).getTime());
+        const end = Math.min(retailEnd, new Date(series[series.length - 1].date).getTime());
+        
+        const times = [];
+        for (let t = start; t <= end; t += WEEK_MS) times.push(t);
+        
+        const market = times.map(t => this.weeklyAverage(series, t));
+        const retail = times.map(t => this.interpolate(historical, t));
+        
+        let best = null;
+        
+        for (let lag = 0; lag <= maxLagWeeks; lag++) {
+            const x = [];
+            const y = [];
+            
+            for (let k = window + lag; k < times.length; k++) {
+                const m1 = market[k - lag], m0 = market[k - lag - window];
+                const r1 = retail[k], r0 = retail[k - window];
+                if (!m1 || !m0 || !r1 || !r0) continue;
+                
+                x.push(Math.log(m1 / m0));
+                y.push(Math.log(r1 / r0));
+            }
+            
+            if (x.length < minObservations) continue;
+            
+            const fit = this.regress(x, y);
+            if (!best || fit.rSquared > best.rSquared) {
+                best = { code, lagWeeks: lag, ...fit, observations: x.length };
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Scale a forecast by the indicator moves that have not reached retail yet
+     * A move at time t shows up at t + lag, so horizon d sees all moves up to d - lag.
+     */
+    applyToForecast(forecast, historical, marketData, analysis = this.analysis) {
+        const best = analysis?.best;
+        if (!forecast || !best) return forecast;
+        
+        const series = marketData.series[best.code];
+        const lagMs = best.lagWeeks * WEEK_MS;
+        
+        const retailLast = new Date(historical[historical.length - 1].date).getTime();
+        const marketLast = new Date(series[series.length - 1].date).getTime();
+        const baseValue = this.valueAt(series, retailLast - lagMs);
+        
+        const factorAt = (date) => {
+            const passUntil = Math.min(marketLast, new Date(date).getTime() - lagMs);
+            if (passUntil <= retailLast - lagMs) return 1;
+            return Math.exp(best.elasticity * Math.log(this.valueAt(series, passUntil) / baseValue));
+        };
+        
+        const scale = (points) => points.map(p => ({ date: p.date, price: p.price * factorAt(p.date) }));
+        const factors = forecast.expected.map(p => factorAt(p.date));
+        
+        return {
+            ...forecast,
+            expected: scale(forecast.expected),
+            bestCase: scale(forecast.bestCase),
+            worstCase: scale(forecast.worstCase),
+            intervals: (forecast.intervals || []).map(i => ({
+                ...i,
+                lower: scale(i.lower),
+                upper: scale(i.upper)
+            })),
+            metadata: {
+                ...forecast.metadata,
+                leadingIndicator: {
+                    code: best.code,
+                    lagWeeks: best.lagWeeks,
+                    elasticity: best.elasticity,
+                    rSquared: best.rSquared,
+                    pendingChange: factors[factors.length - 1] - 1
+                }
+            }
+        };
+    }
+    
+    /**
+     * Ordinary least squares slope and R² of y on x
+     */
+    regress(x, y) {
+        const n = x.length;
+        const meanX = x.reduce((a, b) => a + b, 0) / n;
+        const meanY = y.reduce((a, b) => a + b, 0) / n;
+        
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (x[i] - meanX) * (y[i] - meanY);
+            sxx += (x[i] - meanX) ** 2;
+            syy += (y[i] - meanY) ** 2;
+        }
+        
+        if (sxx === 0 || syy === 0) return { elasticity: 0, rSquared: 0 };
+        
+        return {
+            elasticity: sxy / sxx,
+            rSquared: (sxy * sxy) / (sxx * syy)
+        };
+    }
+    
+    /**
+     * Mean of quotes in the week ending at `time`, else the last known quote
+     */
+    weeklyAverage(series, time) {
+        const inWeek = series.filter(p => {
+            const t = new Date(p.date).getTime();
+            return t > time - WEEK_MS && t <= time;
+        });
+        
+        if (inWeek.length) return inWeek.reduce((sum, p) => sum + p.price, 0) / inWeek.length;
+        
+        const before = series.filter(p => new Date(p.date).getTime() <= time);
+        return before.length ? before[before.length - 1].price : null;
+    }
+    
+    /**
+     * Last value at or before `time` (first value if `time` is earlier)
+     */
+    valueAt(series, time) {
+        let value = series[0].price;
+        for (const p of series) {
+            if (new Date(p.date).getTime() > time) break;
+            value = p.price;
+        }
+        return value;
+    }
+    
+    /**
+     * Linear interpolation of a (monthly) series at `time`
+     */
+    interpolate(series, time) {
+        for (let i = 1; i < series.length; i++) {
+            const t0 = new Date(series[i - 1].date).getTime();
+            const t1 = new Date(series[i].date).getTime();
+            if (time >= t0 && time <= t1) {
+                const w = t1 === t0 ? 0 : (time - t0) / (t1 - t0);
+                return series[i - 1].price + (series[i].price - series[i - 1].price) * w;
+            }
+        }
+        return null;
+    }
+}
+
+export const leadingIndicators = new LeadingIndicatorAnalyzer();
+export default LeadingIndicatorAnalyzer;
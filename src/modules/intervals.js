@@ -0,0 +1,166 @@
+/**
+ * Prediction Intervals Module
+ * Empirical, possibly asymmetric intervals from past forecast errors per horizon
+ */
+
+import { CONFIG } from './config.js';
+import { regionRegistry } from './regions.js';
+
+// Two-sided standard normal quantiles, used to scale the fallback cone
+const Z_SCORES = { 50: 0.674, 80: 1.282, 90: 1.645, 95: 1.960, 99: 2.576 };
+
+// Model/parameter combinations whose walk-forward predictions are kept
+const MAX_CACHED = 8;
+
+/**
+ * Conical uncertainty that grows with the horizon
+ */
+export function coneUncertainty(monthsAhead, params) {
+    return params.baseUncertainty + (monthsAhead * params.uncertaintyGrowthPerMonth);
+}
+
+class PredictionIntervals {
+    constructor() {
+        this.cache = new Map();
+    }
+    
+    /**
+     * Walk forward through the history and collect actual/expected ratios
+     * for every horizon, using the model's point forecast only.
+     */
+    collectErrors(model, historical, horizon, params) {
+        const ratios = Array.from({ length: horizon }, () => []);
+        const minTraining = CONFIG.backtest.minTrainingMonths;
+        const predictions = this.getPredictions(model, historical, params);
+        
+        for (let origin = minTraining - 1; origin < historical.length - 1; origin++) {
+            let prices = predictions.get(origin);
+            if (!prices || prices.length < horizon) {
+                prices = model.predict(historical.slice(0, origin + 1), horizon, params).prices;
+                predictions.set(origin, prices);
+            }
+            
+            for (let h = 1; h <= horizon; h++) {
+                const actual = historical[origin + h];
+                if (!actual) break;
+                if (prices[h - 1] > 0) ratios[h - 1].push(actual.price / prices[h - 1]);
+            }
+        }
+        
+        return ratios;
+    }
+    
+    /**
+     * Point forecasts per origin, shared by all calls on the same data
+     * A prediction from `origin` only sees the first origin + 1 values, so it stays valid
+     * for any series starting with them - a backtest replaying growing prefixes of one
+     * history then predicts each origin once instead of once per replayed month.
+     * @returns {Map<number, number[]>} origin index -> predicted prices
+     */
+    getPredictions(model, historical, params) {
+        const key = `${model.id}|${regionRegistry.regionId}|${JSON.stringify(params)}`;
+        const entry = this.cache.get(key) || { series: [], predictions: new Map() };
+        
+        // Where the series differ, predictions from that point on are stale;
+        // if one is a prefix of the other, the longer one is kept
+        const common = Math.min(entry.series.length, historical.length);
+        let shared = 0;
+        while (shared < common &&
+               entry.series[shared].date === historical[shared].date &&
+               entry.series[shared].price === historical[shared].price) {
+            shared++;
+        }
+        
+        const diverged = shared < common;
+        if (diverged) {
+            entry.predictions.forEach((_, origin) => {
+                if (origin >= shared) entry.predictions.delete(origin);
+            });
+        }
+        if (diverged || historical.length > entry.series.length) {
+            entry.series = historical.map(({ date, price }) => ({ date, price }));
+        }
+        
+        // Most recently used last; the oldest combination is dropped first
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        if (this.cache.size > MAX_CACHED) this.cache.delete(this.cache.keys().next().value);
+        
+        return entry.predictions;
+    }
+    
+    /**
+     * Lower/upper multipliers per horizon and level
+     * Horizons with too few error samples fall back to the symmetric cone.
+     * @returns {{ method: string, levels: number[], horizons: Array<Object> }}
+     */
+    estimate(model, historical, months, params) {
+        const { levels, minSamples } = CONFIG.forecast.intervals;
+        const ratios = this.collectErrors(model, historical, months, params);
+        const horizons = [];
+        let empirical = 0;
+        
+        for (let i = 0; i < months; i++) {
+            const samples = [...ratios[i]].sort((a, b) => a - b);
+            const bands = {};
+            
+            levels.forEach(level => {
+                if (samples.length >= minSamples) {
+                    const tail = (1 - level / 100) / 2;
+                    bands[level] = {
+                        lower: this.quantile(samples, tail),
+                        upper: this.quantile(samples, 1 - tail)
+                    };
+                } else {
+                    const width = this.coneWidth(i + 1, level, params);
+                    bands[level] = { lower: 1 - width, upper: 1 + width };
+                }
+            });
+            
+            if (samples.length >= minSamples) empirical++;
+            
+            // Intervals must not shrink with a longer horizon
+            const previous = horizons[i - 1];
+            if (previous) {
+                levels.forEach(level => {
+                    bands[level].lower = Math.min(bands[level].lower, previous[level].lower);
+                    bands[level].upper = Math.max(bands[level].upper, previous[level].upper);
+                });
+            }
+            
+            horizons.push(bands);
+        }
+        
+        return {
+            method: empirical === months ? 'empirical' : (empirical > 0 ? 'mixed' : 'cone'),
+            levels,
+            horizons
+        };
+    }
+    
+    /**
+     * Half-width of the configured cone, treated as the primary level
+     * and rescaled to other levels under a normal assumption
+     */
+    coneWidth(monthsAhead, level, params) {
+        const cone = coneUncertainty(monthsAhead, params);
+        const primary = CONFIG.forecast.intervals.primaryLevel;
+        return cone * (Z_SCORES[level] || Z_SCORES[primary]) / Z_SCORES[primary];
+    }
+    
+    /**
+     * Linear interpolated quantile of a sorted array
+     */
+    quantile(sorted, p) {
+        if (sorted.length === 1) return sorted[0];
+        
+        const pos = (sorted.length - 1) * p;
+        const lower = Math.floor(pos);
+        const upper = Math.ceil(pos);
+        
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+    }
+}
+
+export const predictionIntervals = new PredictionIntervals();
+export default PredictionIntervals;
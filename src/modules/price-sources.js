@@ -0,0 +1,313 @@
+/**
+ * Price Sources Module
+ * Adapters for price file formats and unit normalization to €/L incl. VAT
+ *
+ * Every adapter turns raw file content into { historical, currentPrice, metadata }
+ * in the unit the file uses; PriceSourceRegistry.parse() then normalizes to
+ * the €/L gross price the app works with and runs the data-quality checks.
+ * Adapters keep bad rows (with their row number) so the checks can report them.
+ * Series may be daily, weekly or monthly; finer ones are kept as `highResolution`
+ * and averaged to the forecast's working frequency for `historical`.
+ */
+
+import { CONFIG } from './config.js';
+import { priceValidator } from './data-quality.js';
+import { resampler } from './resampling.js';
+
+/**
+ * Number with either decimal comma or point, optional thousands separators
+ * ("1.234,56", "1,234.56", "1 234,56", "0,98")
+ */
+export function parseNumber(text) {
+    if (typeof text === 'number') return text;
+    
+    const clean = String(text ?? '').trim().replace(/[\s ']/g, '');
+    if (!clean) return NaN;
+    
+    const lastComma = clean.lastIndexOf(',');
+    const lastPoint = clean.lastIndexOf('.');
+    const decimal = lastComma > lastPoint ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    
+    return parseFloat(clean.split(thousands).join('').replace(decimal, '.'));
+}
+
+/**
+ * ISO (2024-01-31) or German (31.01.2024) date as YYYY-MM-DD
+ */
+export function parseDate(text) {
+    const value = String(text ?? '').trim();
+    
+    const german = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+    if (german) {
+        const [, day, month, year] = german;
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return iso[0];
+    
+    const slash = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (slash) {
+        const [, day, month, year] = slash;
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    
+    return null;
+}
+
+/**
+ * Parsed number, or the original text if it is none (kept for the quality report)
+ */
+function numberOrText(value) {
+    const number = parseNumber(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Split delimited text into rows; separator detected from the first line
+ */
+export function splitRows(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const first = lines[0] || '';
+    const separator = first.includes(';') ? ';' : (first.includes('\t') ? '\t' : ',');
+    
+    return lines.map(line => line.split(separator).map(cell => cell.trim().replace(/^"|"$/g, '')));
+}
+
+/**
+ * Base class - subclasses implement parse()
+ */
+export class PriceSourceAdapter {
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+    }
+    
+    /**
+     * @returns {{ historical: Array, currentPrice: ?number, metadata: Object }}
+     */
+    parse(text, source) {
+        throw new Error(`Adapter ${this.id} does not implement parse()`);
+    }
+}
+
+/**
+ * The app's own JSON format (sample_prices.json)
+ */
+class JsonAdapter extends PriceSourceAdapter {
+    constructor() {
+        super('json', 'JSON (Heizöl-Optimizer)');
+    }
+    
+    parse(text) {
+        const data = JSON.parse(text);
+        
+        if (!Array.isArray(data.historical) || !data.historical.length) {
+            throw new Error('Invalid data format: missing historical array');
+        }
+        
+        return {
+            ...data,
+            historical: data.historical.map((h, i) => ({ ...h, price: numberOrText(h.price), row: i + 1 })),
+            currentPrice: data.currentPrice !== undefined ? parseNumber(data.currentPrice) : null,
+            metadata: data.metadata || {}
+        };
+    }
+}
+
+/**
+ * Plain CSV: date;price per line, German decimal commas, header optional
+ */
+class CsvAdapter extends PriceSourceAdapter {
+    constructor() {
+        super('csv', 'CSV (Datum;Preis)');
+    }
+    
+    parse(text) {
+        const rows = splitRows(text);
+        
+        // Header line: first row without a date
+        const start = rows.length && !parseDate(rows[0][0]) ? 1 : 0;
+        const historical = rows.slice(start).map(([date, price], i) => ({
+            date: parseDate(date) || date,
+            price: numberOrText(price),
+            row: start + i + 1
+        }));
+        
+        if (!historical.length) {
+            throw new Error('CSV enthält keine Zeilen im Format Datum;Preis');
+        }
+        
+        return {
+            historical,
+            currentPrice: null,
+            metadata: {}
+        };
+    }
+}
+
+/**
+ * EU Weekly Oil Bulletin history export
+ * Weekly prices per 1000 L; columns are found by header name, so both
+ * the per-country sheet and the all-countries sheet (with a country column) work.
+ */
+class OilBulletinAdapter extends PriceSourceAdapter {
+    constructor() {
+        super('oil-bulletin', 'EU Weekly Oil Bulletin');
+    }
+    
+    parse(text, source) {
+        const [header, ...rows] = splitRows(text);
+        if (!header) throw new Error('Oil Bulletin: leere Datei');
+        
+        const find = (patterns) => header.findIndex(h => patterns.some(p => p.test(h)));
+        const dateCol = find([/prices in force/i, /^date$/i, /datum/i]);
+        const priceCol = find([/heating gas ?oil/i, /gas ?oil de chauffage/i, /heiz(ö|oe)l/i]);
+        const countryCol = find([/country/i, /^land$/i]);
+        
+        if (dateCol === -1 || priceCol === -1) {
+            throw new Error('Oil Bulletin: Spalten für Datum und Heizöl nicht gefunden');
+        }
+        
+        const weekly = rows
+            .map((row, i) => ({ row, line: i + 2 }))
+            .filter(({ row }) => countryCol === -1 || !source.country ||
+                (row[countryCol] || '').toUpperCase() === source.country.toUpperCase())
+            .map(({ row, line }) => ({
+                date: parseDate(row[dateCol]) || row[dateCol],
+                price: numberOrText(row[priceCol]),
+                row: line
+            }));
+        
+        if (!weekly.length) {
+            throw new Error(`Oil Bulletin: keine Heizölpreise${source.country ? ` für ${source.country}` : ''}`);
+        }
+        
+        return {
+            historical: weekly,
+            currentPrice: null,
+            metadata: {
+                source: 'EU Weekly Oil Bulletin'
+            }
+        };
+    }
+}
+
+class PriceSourceRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+    
+    register(adapter) {
+        this.adapters.set(adapter.id, adapter);
+        return this;
+    }
+    
+    get(id) {
+        return this.adapters.get(id) || null;
+    }
+    
+    /**
+     * Parse a file with the source's adapter and normalize to €/L incl. VAT
+     * @param {Object} source - { format, unit: 'EUR/L'|'EUR/1000L', vatIncluded, vatRate, label, url }
+     */
+    parse(text, source) {
+        const adapter = this.get(source.format || 'json');
+        if (!adapter) throw new Error(`Unknown price format: ${source.format}`);
+        
+        const raw = adapter.parse(text, source);
+        const unit = source.unit || (/1000/.test(raw.metadata.unit || '') ? 'EUR/1000L' : 'EUR/L');
+        const vatIncluded = source.vatIncluded ?? true;
+        const vatRate = source.vatRate ?? CONFIG.pricing.vatRate;
+        const normalize = (value) => this.normalize(value, unit, vatIncluded, vatRate);
+        
+        const points = raw.historical.map(h => ({ ...h, price: typeof h.price === 'number' ? normalize(h.price) : h.price }));
+        const current = Number.isFinite(raw.currentPrice) ? normalize(raw.currentPrice) : null;
+        const granularity = resampler.detect(points);
+        let checked;
+        let highResolution = null;
+        
+        if (resampler.isFiner(granularity, CONFIG.forecast.frequency)) {
+            // Raw points are checked as they are, the derived monthly series again for gaps
+            const rawChecked = priceValidator.validate(points, null, { resolution: 'day' });
+            highResolution = rawChecked.historical;
+            const latest = highResolution[highResolution.length - 1];
+            
+            checked = priceValidator.validate(
+                resampler.resample(highResolution).map(p => ({ date: p.date, price: p.price, row: null })),
+                current ?? latest?.price ?? null
+            );
+            checked.report = priceValidator.mergeReports(rawChecked.report, checked.report);
+        } else {
+            checked = priceValidator.validate(points, current);
+        }
+        
+        const historical = checked.historical;
+        const last = historical[historical.length - 1];
+        
+        if (!historical.length) {
+            throw new Error(`Keine gültigen Preise (${checked.report.issues.length} fehlerhafte Zeilen)`);
+        }
+        
+        return {
+            ...raw,
+            historical,
+            highResolution,
+            currentPrice: checked.currentPrice,
+            metadata: {
+                ...raw.metadata,
+                unit: 'EUR/Liter',
+                granularity,
+                quality: checked.report,
+                sourceInfo: {
+                    label: source.label || raw.metadata.source || source.url,
+                    url: source.url,
+                    format: adapter.label,
+                    originalUnit: unit,
+                    vatIncluded,
+                    vatRate,
+                    granularity,
+                    points: highResolution?.length ?? historical.length,
+                    months: historical.length,
+                    firstDate: historical[0]?.date || null,
+                    lastDate: last?.date || null
+                }
+            }
+        };
+    }
+    
+    /**
+     * €/L or €/1000 L, gross or net → €/L gross (rounded to 0.1 ct)
+     */
+    normalize(value, unit, vatIncluded, vatRate) {
+        const perLiter = unit === 'EUR/1000L' ? value / 1000 : value;
+        const gross = vatIncluded ? perLiter : perLiter * (1 + vatRate);
+        return Math.round(gross * 1000) / 1000;
+    }
+    
+    /**
+     * Short description for the UI, e.g. "CSV (Datum;Preis), €/1000 L netto (+20 % USt.), wöchentlich, Jän. 2024 – März 2025"
+     */
+    describe(info) {
+        if (!info) return '';
+        
+        const unit = info.originalUnit === 'EUR/1000L' ? '€/1000 L' : '€/L';
+        const vat = info.vatIncluded ? 'inkl. USt.' : `netto (+${Math.round(info.vatRate * 100)} % USt.)`;
+        const month = (date) => new Date(date).toLocaleDateString('de-AT', { month: 'short', year: 'numeric' });
+        const range = info.firstDate && info.lastDate ? `${month(info.firstDate)} – ${month(info.lastDate)}` : '';
+        
+        const granularity = info.granularity ? `, ${resampler.label(info.granularity)}` : '';
+        
+        return `${info.format}, ${unit} ${vat}${granularity}${range ? `, ${range}` : ''}`;
+    }
+}
+
+export const priceSources = new PriceSourceRegistry();
+
+priceSources
+    .register(new JsonAdapter())
+    .register(new CsvAdapter())
+    .register(new OilBulletinAdapter());
+
+export default PriceSourceRegistry;
@@ -0,0 +1,126 @@
+/**
+ * Supplier Pricing Module
+ * Volume tiers, minimum order, delivery fees and VAT per supplier
+ */
+
+import { CONFIG } from './config.js';
+
+class SupplierPricing {
+    constructor() {
+        this.supplierId = CONFIG.pricing.defaultSupplier;
+    }
+    
+    /**
+     * Select supplier by config id
+     */
+    setSupplier(supplierId) {
+        if (!CONFIG.pricing.suppliers[supplierId]) {
+            console.warn(`Unknown supplier: ${supplierId}`);
+            return false;
+        }
+        
+        this.supplierId = supplierId;
+        return true;
+    }
+    
+    /**
+     * Supplier config (selected supplier by default)
+     */
+    getSupplier(supplierId = this.supplierId) {
+        const supplier = CONFIG.pricing.suppliers[supplierId];
+        return supplier ? { id: supplierId, ...supplier } : null;
+    }
+    
+    /**
+     * Suppliers for selection in the UI
+     */
+    list() {
+        return Object.entries(CONFIG.pricing.suppliers).map(([id, s]) => ({ id, name: s.name }));
+    }
+    
+    /**
+     * Minimum delivery quantity of a supplier
+     */
+    getMinOrder(supplierId = this.supplierId) {
+        return this.getSupplier(supplierId)?.minLiters || CONFIG.scheduler.minOrderLiters;
+    }
+    
+    /**
+     * Price an order of `liters` at the given market price (€/L incl. VAT)
+     * All amounts are computed net and then grossed up once.
+     * `drops` > 1 prices a joint order delivered to several addresses.
+     */
+    quote(liters, marketPrice, supplierId = this.supplierId, drops = 1) {
+        const supplier = this.getSupplier(supplierId);
+        const vatFactor = 1 + CONFIG.pricing.vatRate;
+        
+        if (!supplier) {
+            return this.flatQuote(liters, marketPrice);
+        }
+        
+        if (liters <= 0) {
+            return { liters: 0, valid: true, reason: null, unitPrice: marketPrice, fees: 0, net: 0, vat: 0, total: 0, effectivePrice: marketPrice };
+        }
+        
+        const toNet = (value) => supplier.vatIncluded ? value / vatFactor : value;
+        
+        const tier = [...supplier.tiers]
+            .sort((a, b) => b.fromLiters - a.fromLiters)
+            .find(t => liters >= t.fromLiters);
+        const adjustment = tier ? tier.adjustment : supplier.tiers[0].adjustment;
+        
+        const unitNet = marketPrice / vatFactor + toNet(adjustment);
+        const smallOrder = supplier.smallOrderFee && liters < supplier.smallOrderFee.belowLiters
+            ? supplier.smallOrderFee.fee
+            : 0;
+        const dropFees = Math.max(0, drops - 1) * (supplier.extraDropFee || 0);
+        const feesNet = toNet(supplier.deliveryFee + smallOrder + dropFees);
+        
+        const net = liters * unitNet + feesNet;
+        const total = net * vatFactor;
+        
+        return {
+            liters,
+            valid: liters >= supplier.minLiters,
+            reason: liters < supplier.minLiters
+                ? `Mindestmenge ${supplier.minLiters.toLocaleString('de-AT')} L bei ${supplier.name}`
+                : null,
+            unitPrice: unitNet * vatFactor,
+            fees: feesNet * vatFactor,
+            net,
+            vat: total - net,
+            total,
+            effectivePrice: total / liters
+        };
+    }
+    
+    /**
+     * Flat liters × price quote (no supplier model)
+     */
+    flatQuote(liters, marketPrice) {
+        const total = liters * marketPrice;
+        const vatFactor = 1 + CONFIG.pricing.vatRate;
+        
+        return {
+            liters,
+            valid: true,
+            reason: null,
+            unitPrice: marketPrice,
+            fees: 0,
+            net: total / vatFactor,
+            vat: total - total / vatFactor,
+            total,
+            effectivePrice: marketPrice
+        };
+    }
+    
+    /**
+     * Order cost function for the scheduler
+     */
+    costFunction(supplierId = this.supplierId) {
+        return (liters, marketPrice) => this.quote(liters, marketPrice, supplierId).total;
+    }
+}
+
+export const supplierPricing = new SupplierPricing();
+export default SupplierPricing;
@@ -0,0 +1,112 @@
+/**
+ * Purchase Ledger Module
+ * Evaluates recorded deliveries against market prices and past recommendations
+ */
+
+import { state } from './state.js';
+import { forecastEngine } from './forecast.js';
+import { dataService } from './data-service.js';
+
+class PurchaseLedger {
+    constructor() {
+        this.evaluations = [];
+    }
+    
+    /**
+     * Evaluate a single delivery
+     * The recommendation is reconstructed from the price history that was
+     * known before the delivery month, not from today's forecast.
+     */
+    evaluate(purchase) {
+        const date = new Date(purchase.date);
+        const month = date.getMonth();
+        const year = date.getFullYear();
+        const effectivePrice = purchase.totalPrice / purchase.liters;
+        
+        // Price of the delivery day with daily/weekly data, else the month's
+        const market = dataService.findPriceAt(date);
+        const marketPrice = market?.price ?? null;
+        
+        const recommended = this.getRecommendationAt(date);
+        const recommendedMonth = recommended ? new Date(recommended.date) : null;
+        const recommendedActual = recommendedMonth
+            ? dataService.findHistoricalPrice(recommendedMonth.getMonth(), recommendedMonth.getFullYear())
+            : null;
+        
+        return {
+            ...purchase,
+            year,
+            effectivePrice,
+            marketPrice,
+            recommended,
+            recommendedActualPrice: recommendedActual?.price ?? null,
+            followedRecommendation: recommendedMonth
+                ? recommendedMonth.getMonth() === month && recommendedMonth.getFullYear() === year
+                : null,
+            // Positive values = money saved
+            savingsVsMarket: marketPrice !== null
+                ? (marketPrice - effectivePrice) * purchase.liters
+                : null,
+            savingsVsRecommendation: recommendedActual
+                ? (recommendedActual.price - effectivePrice) * purchase.liters
+                : null
+        };
+    }
+    
+    /**
+     * Reconstruct what findBestBuyingTime() would have said at a given date
+     */
+    getRecommendationAt(date) {
+        const priceData = state.get('priceData');
+        if (!priceData?.historical) return null;
+        
+        const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+        const known = priceData.historical.filter(h => new Date(h.date) < monthStart);
+        const forecast = forecastEngine.buildForecast(known);
+        
+        return forecastEngine.findBestBuyingTime(forecast);
+    }
+    
+    /**
+     * Evaluate all purchases from state
+     */
+    evaluateAll() {
+        const purchases = state.get('purchases') || [];
+        this.evaluations = purchases.map(p => this.evaluate(p));
+        return this.evaluations;
+    }
+    
+    /**
+     * Aggregate evaluations per calendar year (newest first)
+     */
+    getAnnualSummary(evaluations = this.evaluations) {
+        const years = new Map();
+        
+        evaluations.forEach(e => {
+            if (!years.has(e.year)) {
+                years.set(e.year, {
+                    year: e.year,
+                    deliveries: 0,
+                    liters: 0,
+                    totalCost: 0,
+                    savingsVsMarket: 0,
+                    savingsVsRecommendation: 0
+                });
+            }
+            
+            const summary = years.get(e.year);
+            summary.deliveries++;
+            summary.liters += e.liters;
+            summary.totalCost += e.totalPrice;
+            summary.savingsVsMarket += e.savingsVsMarket ?? 0;
+            summary.savingsVsRecommendation += e.savingsVsRecommendation ?? 0;
+        });
+        
+        return [...years.values()]
+            .map(s => ({ ...s, averagePrice: s.liters > 0 ? s.totalCost / s.liters : null }))
+            .sort((a, b) => b.year - a.year);
+    }
+}
+
+export const purchaseLedger = new PurchaseLedger();
+export default PurchaseLedger;
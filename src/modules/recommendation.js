@@ -7,20 +7,49 @@ import { CONFIG } from './config.js';
 import { state } from './state.js';
 import { forecastEngine } from './forecast.js';
 import { dataService } from './data-service.js';
+import { consumptionAnalyzer } from './consumption.js';
+import { degreeDays } from './degree-days.js';
+import { purchaseScheduler } from './scheduler.js';
+import { supplierPricing } from './pricing.js';
+
+const SCENARIO_LABELS = {
+    expected: 'mittlerer Winter',
+    cold: 'kalter Winter',
+    mild: 'milder Winter'
+};
 
 class RecommendationEngine {
-    constructor() {
+    /**
+     * @param {StateManager} store - state with tank and price data (global app state unless given)
+     * @param {ForecastEngine} forecast - engine publishing the forecast to the same state
+     */
+    constructor(store = state, forecast = forecastEngine) {
+        this.state = store;
+        this.forecastEngine = forecast;
         this.recommendation = null;
+        
+        // Supplier from the settings, weather model from temperatures and readings;
+        // the recommendation follows tank, prices, forecast, supplier, weather model and the day
+        store
+            .derive('supplier', ['settings'], (settings) => settings?.supplier || CONFIG.pricing.defaultSupplier)
+            .derive('weatherModel', ['temperatures', 'levelHistory'],
+                (temperatures, levelHistory) => degreeDays.analyze(temperatures, levelHistory || []))
+            .derive('recommendation',
+                ['tankVolume', 'tankLevel', 'levelHistory', 'priceData', 'currentPrice', 'forecast', 'supplier', 'weatherModel', 'today'],
+                () => this.calculate());
     }
     
     /**
      * Calculate and return purchase recommendation
+     * Usually read as the derived state key 'recommendation', which
+     * recalculates only when tank, prices, forecast, supplier or the day change.
      */
-    calculate() {
-        const tankVolume = state.get('tankVolume');
-        const tankLevel = state.get('tankLevel');
-        const priceData = state.get('priceData');
-        const forecast = state.get('forecast');
+    calculate(now = new Date()) {
+        const tankVolume = this.state.get('tankVolume');
+        const tankLevel = this.state.get('tankLevel');
+        const priceData = this.state.get('priceData');
+        const forecast = this.state.get('forecast');
+        const supplierId = this.state.get('supplier');
         
         // Missing data check
         if (!tankVolume || tankLevel === null) {
@@ -32,20 +61,47 @@ class RecommendationEngine {
         }
         
         // Calculate metrics
-        const fillPercent = Math.round((tankLevel / tankVolume) * 100);
-        const currentPrice = state.get('currentPrice');
-        const bestTime = forecastEngine.findBestBuyingTime();
-        const isPriceHigh = forecastEngine.isPriceHigh(currentPrice);
+        const fillPercent = this.state.get('fillPercent');
+        const currentPrice = this.state.get('currentPrice');
+        // Months already past are no buying opportunity
+        const bestTime = this.forecastEngine.findBestBuyingTime({ expected: forecast.expected.filter(p => new Date(p.date) > now) });
+        const isPriceHigh = this.forecastEngine.isPriceHigh(currentPrice, bestTime);
+        const weather = this.state.get('weatherModel');
+        const consumption = consumptionAnalyzer.project(this.state.get('levelHistory') || [], tankVolume, tankLevel, now, weather);
+        
+        // Determine urgency
+        const urgency = this.calculateUrgency(fillPercent, consumption.weeksLeft);
+        
+        // Plan orders over the forecast horizon with the supplier's prices;
+        // with degree days each month uses its seasonal usage in the planning scenario
+        const prices = this.getPricePath(currentPrice, forecast, now);
+        const schedule = purchaseScheduler.createPlan({
+            prices,
+            litersPerDay: consumption.litersPerDay || this.estimateDailyUsage(tankVolume),
+            litersPerMonth: consumption.weather
+                ? prices.map(p => degreeDays.monthlyUsage(weather, p.date, consumption.weather.scenario))
+                : null,
+            capacity: tankVolume,
+            currentLevel: tankLevel,
+            safetyLevel: tankVolume * CONFIG.consumption.reserveLevel / 100,
+            minOrder: supplierPricing.getMinOrder(supplierId),
+            orderCost: supplierPricing.costFunction(supplierId)
+        });
         
-        // Determine urgency and strategy
-        const urgency = this.calculateUrgency(fillPercent);
-        const strategy = this.calculateStrategy(fillPercent, isPriceHigh);
+        let strategy = this.calculateStrategy(schedule, tankVolume, tankLevel);
+        let orderNow = schedule?.orders[0]?.monthIndex === 0 ? schedule.orders[0] : null;
         
-        // Calculate order quantity
-        const orderQuantity = this.calculateOrderQuantity(tankVolume, tankLevel, strategy);
+        // Surcharges can make a partial order more expensive than filling up now
+        const partialRejected = strategy === 'buy-partial' && !this.isPartialOrderWorthIt(schedule);
+        if (partialRejected) {
+            strategy = 'buy-full';
+            orderNow = schedule.baseline.orders[0];
+        }
         
-        // Calculate estimated cost
-        const estimatedCost = orderQuantity * (bestTime?.price || currentPrice);
+        // Order quantity and supplier quote for an order placed now
+        const orderQuantity = orderNow?.liters || 0;
+        const quote = orderQuantity > 0 ? supplierPricing.quote(orderQuantity, currentPrice, supplierId) : null;
+        const estimatedCost = quote?.total || 0;
         
         this.recommendation = {
             fillPercent,
@@ -53,19 +109,50 @@ class RecommendationEngine {
             strategy,
             orderQuantity,
             estimatedCost,
+            schedule,
+            quote,
+            partialRejected,
             bestTime,
             currentPrice,
             isPriceHigh,
-            items: this.generateRecommendationItems(fillPercent, strategy, orderQuantity, estimatedCost, bestTime, currentPrice, isPriceHigh)
+            consumption,
+            items: this.generateRecommendationItems(fillPercent, urgency, strategy, orderQuantity, quote, bestTime, isPriceHigh, consumption, schedule, partialRejected)
         };
         
         return this.recommendation;
     }
     
+    /**
+     * Expected price path for the scheduler: today's price, then the
+     * forecast months that still lie ahead
+     */
+    getPricePath(currentPrice, forecast, now = new Date()) {
+        return [
+            { date: now.toISOString().split('T')[0], price: currentPrice },
+            ...forecast.expected.filter(p => new Date(p.date) > now)
+        ];
+    }
+    
+    /**
+     * Rough daily usage when no readings are logged yet
+     */
+    estimateDailyUsage(tankVolume) {
+        return tankVolume * CONFIG.scheduler.fallbackAnnualUsage / 365;
+    }
+    
     /**
      * Calculate urgency level
+     * Uses weeks of oil left when a consumption rate is known,
+     * otherwise falls back to fixed fill level thresholds.
      */
-    calculateUrgency(fillPercent) {
+    calculateUrgency(fillPercent, weeksLeft = null) {
+        if (weeksLeft !== null) {
+            if (weeksLeft < CONFIG.thresholds.criticalWeeks) return 'critical';
+            if (weeksLeft < CONFIG.thresholds.lowWeeks) return 'urgent';
+            if (weeksLeft < CONFIG.thresholds.warningWeeks) return 'warning';
+            return 'normal';
+        }
+        
         if (fillPercent < CONFIG.thresholds.criticalLevel) return 'critical';
         if (fillPercent < CONFIG.thresholds.lowLevel) return 'urgent';
         if (fillPercent < 40) return 'warning';
@@ -73,96 +160,135 @@ class RecommendationEngine {
     }
     
     /**
-     * Determine purchase strategy
+     * Determine purchase strategy from the order plan
      */
-    calculateStrategy(fillPercent, isPriceHigh) {
-        if (fillPercent < CONFIG.thresholds.criticalLevel) {
-            if (isPriceHigh) return 'emergency-limited'; // 30% rule
-            return 'emergency-full'; // Fill up completely
-        }
-        
-        if (fillPercent < CONFIG.thresholds.lowLevel) {
-            if (isPriceHigh) return 'limited'; // 30% rule
-            return 'full';
-        }
+    calculateStrategy(schedule, tankVolume, tankLevel) {
+        const first = schedule?.orders[0];
+        if (!first || first.monthIndex > 0) return 'wait';
         
-        return 'wait';
+        // Anything clearly below a full tank counts as a partial order
+        const step = CONFIG.scheduler.stepLiters;
+        return tankLevel + first.liters >= tankVolume - step ? 'buy-full' : 'buy-partial';
     }
     
     /**
-     * Calculate order quantity based on strategy
+     * A partial order pays off only if the whole plan, including the extra
+     * small-quantity surcharges and delivery fees, beats filling up now
      */
-    calculateOrderQuantity(tankVolume, tankLevel, strategy) {
-        switch (strategy) {
-            case 'emergency-limited':
-            case 'limited':
-                // 30% rule: only order 30% of tank capacity
-                return Math.round(tankVolume * CONFIG.strategy.emergencyFillPercent / 100 * 10) / 10;
-            
-            case 'emergency-full':
-            case 'full':
-                // Fill to optimal level
-                return tankVolume - tankLevel;
-            
-            case 'wait':
-            default:
-                return 0;
-        }
+    isPartialOrderWorthIt(schedule) {
+        return schedule.savingsVsFillNow > 0;
     }
     
     /**
      * Generate recommendation items for UI
      */
-    generateRecommendationItems(fillPercent, strategy, orderQuantity, estimatedCost, bestTime, currentPrice, isPriceHigh) {
+    generateRecommendationItems(fillPercent, urgency, strategy, orderQuantity, quote, bestTime, isPriceHigh, consumption, schedule, partialRejected) {
         const items = [];
+        const isLow = urgency === 'critical' || urgency === 'urgent';
         
         // 1. Fill level status
         items.push({
-            icon: this.getUrgencyIcon(fillPercent),
-            label: this.getFillStatusLabel(fillPercent),
+            icon: this.getUrgencyIcon(urgency),
+            label: this.getFillStatusLabel(urgency),
             value: `${fillPercent}% Füllstand`,
-            urgency: fillPercent < CONFIG.thresholds.lowLevel ? 'urgent' : (fillPercent < 40 ? 'warning' : '')
+            urgency: isLow ? 'urgent' : (urgency === 'warning' ? 'warning' : '')
         });
         
-        // 2. Order quantity
+        // 1b. Range based on consumption
+        if (consumption?.weeksLeft !== null && consumption?.weeksLeft !== undefined) {
+            const emptyDate = new Date(consumption.emptyDate).toLocaleDateString('de-AT');
+            items.push({
+                icon: '⏳',
+                label: `Reichweite (${consumption.litersPerDay.toFixed(1)} L/Tag)`,
+                value: `~${Math.floor(consumption.weeksLeft)} Wochen (bis ${emptyDate})`,
+                urgency: isLow ? 'urgent' : ''
+            });
+        }
+        
+        // 1c. Weather-driven range: cold, mean and mild winter
+        if (consumption?.weather) {
+            const { scenarios, seasonUsage, litersPerDegreeDay } = consumption.weather;
+            const date = (scenario) => new Date(scenarios[scenario].emptyDate).toLocaleDateString('de-AT');
+            items.push({
+                icon: '🌡️',
+                label: `Leer je nach Winter (${litersPerDegreeDay.toFixed(2)} L/HGT)`,
+                value: `kalt ${date('cold')} · mittel ${date('expected')} · mild ${date('mild')}`,
+                urgency: ''
+            });
+            items.push({
+                icon: '❄️',
+                label: 'Verbrauch Heizsaison (Sep.–Mai)',
+                value: `${seasonUsage.mild.toLocaleString('de-AT')}–${seasonUsage.cold.toLocaleString('de-AT')} Liter (mittel ${seasonUsage.expected.toLocaleString('de-AT')})`,
+                urgency: ''
+            });
+        }
+        
+        // 2. Order quantity now
         if (orderQuantity > 0) {
-            const strategyText = (strategy === 'limited' || strategy === 'emergency-limited') 
-                ? ' (30%-Strategie)' 
-                : '';
+            const strategyText = strategy === 'buy-partial' ? ' (Teilmenge)' : '';
             items.push({
                 icon: '📦',
-                label: 'Empfohlene Bestellmenge',
-                value: `${orderQuantity.toLocaleString()} Liter${strategyText}`,
+                label: 'Jetzt bestellen',
+                value: `${orderQuantity.toLocaleString('de-AT')} Liter${strategyText}`,
                 urgency: ''
             });
         }
         
-        // 3. Best buying time
+        // 3. Order plan over the forecast horizon
+        if (schedule) {
+            const assumed = consumption?.weather
+                ? ` (${SCENARIO_LABELS[consumption.weather.scenario]})`
+                : (consumption?.litersPerDay ? '' : ' (geschätzter Verbrauch)');
+            const orders = partialRejected ? schedule.baseline.orders : schedule.orders;
+            items.push({
+                icon: '🗓️',
+                label: `Bestellplan${assumed}`,
+                value: orders.length
+                    ? orders.map(o => `${o.liters.toLocaleString('de-AT')} L im ${o.label}`).join(', ')
+                    : 'Keine Bestellung im Prognosezeitraum nötig',
+                urgency: ''
+            });
+        }
+        
+        // 4. Best buying time
         if (bestTime) {
             items.push({
                 icon: '📅',
-                label: 'Optimaler Kaufzeitpunkt',
+                label: 'Günstigster Monat (Prognose)',
                 value: `${bestTime.month} ${bestTime.year} (~${bestTime.price.toFixed(2)} €/L)`,
-                urgency: fillPercent < CONFIG.thresholds.lowLevel && !isPriceHigh ? 'urgent' : ''
+                urgency: isLow && !isPriceHigh ? 'urgent' : ''
             });
         }
         
-        // 4. Estimated cost
-        if (orderQuantity > 0) {
+        // 5. Estimated cost with supplier tiers and fees
+        if (quote) {
+            const supplier = supplierPricing.getSupplier(this.state.get('supplier'));
+            const fees = quote.fees > 0 ? `, inkl. ${quote.fees.toFixed(0)} € Gebühren` : '';
             items.push({
                 icon: '💰',
-                label: 'Geschätzte Kosten',
-                value: `${estimatedCost.toFixed(0)} €`,
+                label: `Geschätzte Kosten (${supplier?.name || 'Marktpreis'})`,
+                value: `${quote.total.toFixed(0)} € (${quote.effectivePrice.toFixed(3)} €/L${fees})`,
+                urgency: quote.valid ? '' : 'warning'
+            });
+        }
+        
+        // 6. Plan cost vs. filling up now
+        if (schedule?.orders.length && !partialRejected) {
+            const savings = schedule.savingsVsFillNow;
+            items.push({
+                icon: '⚖️',
+                label: 'Erwartete Kosten Plan',
+                value: `${schedule.totalCost.toFixed(0)} € (${savings >= 0 ? '−' : '+'}${Math.abs(savings).toFixed(0)} € vs. jetzt volltanken)`,
                 urgency: ''
             });
         }
         
-        // 5. Action recommendation
+        // 7. Action recommendation
         items.push({
             icon: '🛒',
             label: 'Jetzt kaufen?',
-            value: this.getActionText(fillPercent, isPriceHigh, strategy),
-            urgency: this.getActionUrgency(fillPercent, isPriceHigh)
+            ...this.getAction(urgency, strategy, schedule, partialRejected),
+            urgency: this.getActionUrgency(urgency, isPriceHigh)
         });
         
         return items;
@@ -171,48 +297,57 @@ class RecommendationEngine {
     /**
      * Get icon for fill level urgency
      */
-    getUrgencyIcon(fillPercent) {
-        if (fillPercent < CONFIG.thresholds.criticalLevel) return '🚨';
-        if (fillPercent < CONFIG.thresholds.lowLevel) return '⚠️';
-        if (fillPercent < 40) return '📉';
+    getUrgencyIcon(urgency) {
+        if (urgency === 'critical') return '🚨';
+        if (urgency === 'urgent') return '⚠️';
+        if (urgency === 'warning') return '📉';
         return '✅';
     }
     
     /**
      * Get fill level status label
      */
-    getFillStatusLabel(fillPercent) {
-        if (fillPercent < CONFIG.thresholds.criticalLevel) return 'Kritisch!';
-        if (fillPercent < CONFIG.thresholds.lowLevel) return 'Niedrig';
-        if (fillPercent < 40) return 'Planen';
+    getFillStatusLabel(urgency) {
+        if (urgency === 'critical') return 'Kritisch!';
+        if (urgency === 'urgent') return 'Niedrig';
+        if (urgency === 'warning') return 'Planen';
         return 'Füllstand OK';
     }
     
     /**
-     * Get action text
+     * Action text and its tone ('success' | 'warning' | 'danger'); the UI picks the styling
      */
-    getActionText(fillPercent, isPriceHigh, strategy) {
-        if (fillPercent >= 60) {
-            return `<span style="color: #059669;">Nein - noch genug Öl</span>`;
+    getAction(urgency, strategy, schedule, partialRejected = false) {
+        if (partialRejected) {
+            return { value: 'Volltanken - Teilmenge lohnt sich wegen Zuschlägen nicht', tone: 'warning' };
+        }
+        
+        if (strategy === 'buy-partial') {
+            return { value: 'NUR Teilmenge - Rest später günstiger', tone: 'warning' };
         }
         
-        if (strategy === 'emergency-limited' || strategy === 'limited') {
-            return `<strong style="color: #d97706;">NUR Teilmenge - Preis hoch!</strong>`;
+        if (strategy === 'buy-full') {
+            if (urgency === 'critical' || urgency === 'urgent') {
+                return { value: 'JA - Tank fast leer!', tone: 'danger' };
+            }
+            return { value: 'Guter Zeitpunkt', tone: 'success' };
         }
         
-        if (fillPercent < CONFIG.thresholds.lowLevel) {
-            return `<strong style="color: #dc2626;">JA - Tank fast leer!</strong>`;
+        const next = schedule?.orders[0];
+        if (next) {
+            return { value: `Nein - nächste Bestellung ${next.label}`, tone: 'success' };
         }
         
-        return `<span style="color: #059669;">Guter Zeitpunkt</span>`;
+        return { value: 'Nein - noch genug Öl', tone: 'success' };
     }
     
     /**
      * Get action urgency for styling
      */
-    getActionUrgency(fillPercent, isPriceHigh) {
-        if (fillPercent < CONFIG.thresholds.lowLevel && !isPriceHigh) return 'urgent';
-        if (fillPercent < CONFIG.thresholds.lowLevel) return 'warning';
+    getActionUrgency(urgency, isPriceHigh) {
+        const isLow = urgency === 'critical' || urgency === 'urgent';
+        if (isLow && !isPriceHigh) return 'urgent';
+        if (isLow) return 'warning';
         return '';
     }
     
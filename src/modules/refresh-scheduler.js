@@ -0,0 +1,148 @@
+/**
+ * Refresh Scheduler Module
+ * Background refresh of price data: fixed interval, paused while the tab is hidden,
+ * exponential backoff after failures
+ */
+
+import { CONFIG } from './config.js';
+import { state } from './state.js';
+import { dataService } from './data-service.js';
+
+class RefreshScheduler {
+    constructor() {
+        this.task = null;
+        this.timer = null;
+        this.running = false;
+        this.failures = 0;
+        this.nextRunAt = null;
+        this.onVisibilityChange = () => this.handleVisibility();
+    }
+    
+    /**
+     * Start refreshing in the background
+     * @param {Function} task - async, resolves truthy on success; falsy or throwing counts as failure
+     */
+    start(task) {
+        this.stop();
+        this.task = task;
+        
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+        }
+        
+        this.schedule(CONFIG.data.refreshIntervalMs);
+    }
+    
+    /**
+     * Stop the timer and the visibility listener
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.task = null;
+        this.setNextRun(null);
+        
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        }
+    }
+    
+    /**
+     * Refresh now (e.g. back online), resets the backoff
+     */
+    runNow() {
+        this.failures = 0;
+        return this.run(true);
+    }
+    
+    /**
+     * Run the task once and plan the next run
+     * Skipped while hidden or if a manual refresh made the data current meanwhile.
+     */
+    async run(force = false) {
+        if (!this.task || this.running) return;
+        
+        if (this.isHidden()) {
+            this.pause();
+            return;
+        }
+        
+        if (!force && !this.failures && dataService.isCacheValid()) {
+            this.schedule(CONFIG.data.refreshIntervalMs - (Date.now() - dataService.cache.lastFetch));
+            return;
+        }
+        
+        this.running = true;
+        let ok = false;
+        
+        try {
+            ok = Boolean(await this.task());
+        } catch (error) {
+            console.warn('Background refresh failed:', error);
+        } finally {
+            this.running = false;
+        }
+        
+        this.failures = ok ? 0 : this.failures + 1;
+        dataService.updateDataAge();
+        
+        if (this.task) {
+            this.schedule(this.nextDelay());
+        }
+    }
+    
+    /**
+     * Regular interval, or backoff after failures: base, 2 × base, 4 × base, ... up to retryMaxMs
+     */
+    nextDelay() {
+        const { refreshIntervalMs, retryBaseMs, retryMaxMs } = CONFIG.data;
+        if (!this.failures) return refreshIntervalMs;
+        
+        return Math.min(retryBaseMs * 2 ** (this.failures - 1), retryMaxMs);
+    }
+    
+    schedule(delay) {
+        clearTimeout(this.timer);
+        const wait = Math.max(0, delay);
+        this.timer = setTimeout(() => this.run(), wait);
+        this.setNextRun(new Date(Date.now() + wait).toISOString());
+    }
+    
+    /**
+     * Hidden tab: no timer, the due run happens when it becomes visible again
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    handleVisibility() {
+        if (!this.task) return;
+        
+        if (this.isHidden()) {
+            this.pause();
+            return;
+        }
+        
+        dataService.updateDataAge();
+        const due = this.nextRunAt ? new Date(this.nextRunAt).getTime() - Date.now() : 0;
+        
+        if (due <= 0) {
+            this.run();
+        } else {
+            this.schedule(due);
+        }
+    }
+    
+    isHidden() {
+        return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    }
+    
+    setNextRun(iso) {
+        this.nextRunAt = iso;
+        state.set('nextRefreshAt', iso);
+    }
+}
+
+export const refreshScheduler = new RefreshScheduler();
+export default RefreshScheduler;
@@ -0,0 +1,85 @@
+/**
+ * Regions Module
+ * Region registry with per-region price files and seasonal profiles
+ */
+
+import { CONFIG } from './config.js';
+
+class RegionRegistry {
+    constructor() {
+        this.regionId = CONFIG.regions.default;
+    }
+    
+    /**
+     * Select region by config id
+     */
+    setRegion(regionId) {
+        if (!CONFIG.regions.list[regionId]) {
+            console.warn(`Unknown region: ${regionId}`);
+            return false;
+        }
+        
+        this.regionId = regionId;
+        return true;
+    }
+    
+    /**
+     * Region config (selected region by default)
+     */
+    getRegion(regionId = this.regionId) {
+        const region = CONFIG.regions.list[regionId];
+        return region ? { id: regionId, ...region } : null;
+    }
+    
+    /**
+     * Regions for selection in the UI, grouped by country
+     */
+    list() {
+        const groups = {};
+        
+        Object.entries(CONFIG.regions.list).forEach(([id, r]) => {
+            if (!groups[r.country]) groups[r.country] = [];
+            groups[r.country].push({ id, name: r.name });
+        });
+        
+        return Object.entries(groups).map(([country, regions]) => ({ country, regions }));
+    }
+    
+    /**
+     * Regions to try when loading prices: the region itself, then its fallbacks
+     */
+    getLoadChain(regionId = this.regionId) {
+        const chain = [];
+        let region = this.getRegion(regionId);
+        
+        while (region && !chain.some(r => r.id === region.id)) {
+            chain.push(region);
+            region = region.fallback ? this.getRegion(region.fallback) : null;
+        }
+        
+        return chain;
+    }
+    
+    /**
+     * Price sources of a region in order (primary first), empty if it only uses its fallback
+     */
+    getSources(regionId = this.regionId) {
+        const region = this.getRegion(regionId);
+        if (!region) return [];
+        if (region.sources) return region.sources;
+        
+        return region.priceUrl ? [{ url: region.priceUrl, format: 'json' }] : [];
+    }
+    
+    /**
+     * Seasonal profile used when the price history is too short to estimate one
+     * Inherited along the fallback chain, default table otherwise.
+     */
+    getSeasonalFactors(regionId = this.regionId) {
+        const withProfile = this.getLoadChain(regionId).find(r => r.seasonalFactors);
+        return withProfile ? withProfile.seasonalFactors : CONFIG.forecast.seasonalFactors;
+    }
+}
+
+export const regionRegistry = new RegionRegistry();
+export default RegionRegistry;
@@ -0,0 +1,109 @@
+/**
+ * Resampling Module
+ * Detects the granularity of a price series and resamples it to coarser periods
+ */
+
+import { CONFIG } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ordered from fine to coarse
+const FREQUENCIES = {
+    day: { label: 'täglich', days: 1 },
+    week: { label: 'wöchentlich', days: 7 },
+    month: { label: 'monatlich', days: 30.44 }
+};
+
+class SeriesResampler {
+    /**
+     * Granularity from the median spacing of the dates ('day' | 'week' | 'month')
+     * Weekends and holidays in daily quotes do not matter, the median stays at 1 day.
+     */
+    detect(series) {
+        const times = [...new Set((series || [])
+            .map(p => new Date(p.date).getTime())
+            .filter(t => !isNaN(t)))]
+            .sort((a, b) => a - b);
+        
+        if (times.length < 2) return 'month';
+        
+        const gaps = times.slice(1).map((t, i) => (t - times[i]) / DAY_MS).sort((a, b) => a - b);
+        const median = gaps[Math.floor(gaps.length / 2)];
+        
+        if (median <= 3) return 'day';
+        if (median <= 10) return 'week';
+        return 'month';
+    }
+    
+    /**
+     * True if frequency a is finer than b
+     */
+    isFiner(a, b) {
+        return FREQUENCIES[a].days < FREQUENCIES[b].days;
+    }
+    
+    /**
+     * Period start a date belongs to (weeks start on Monday), as YYYY-MM-DD
+     */
+    periodStart(date, frequency) {
+        const d = new Date(date);
+        
+        if (frequency === 'month') {
+            d.setUTCDate(1);
+        } else if (frequency === 'week') {
+            d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+        }
+        
+        return d.toISOString().split('T')[0];
+    }
+    
+    /**
+     * Mean price per period
+     * @returns {Array} [{date, price, samples}] sorted by date, price rounded to 0.1 ct
+     */
+    resample(series, frequency = CONFIG.forecast.frequency) {
+        const periods = new Map();
+        
+        series.forEach(p => {
+            const key = this.periodStart(p.date, frequency);
+            if (!periods.has(key)) periods.set(key, []);
+            periods.get(key).push(p.price);
+        });
+        
+        return [...periods.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, prices]) => ({
+                date,
+                price: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length * 1000) / 1000,
+                samples: prices.length
+            }));
+    }
+    
+    /**
+     * Series at the forecast models' working frequency
+     * Coarser or equal series are returned unchanged.
+     */
+    toWorkingFrequency(series) {
+        if (!series?.length) return series;
+        
+        const frequency = CONFIG.forecast.frequency;
+        return this.isFiner(this.detect(series), frequency) ? this.resample(series, frequency) : series;
+    }
+    
+    /**
+     * Length of one period in days (for "is this point still current" checks)
+     */
+    periodDays(frequency) {
+        return FREQUENCIES[frequency]?.days ?? FREQUENCIES.month.days;
+    }
+    
+    /**
+     * German label, e.g. "wöchentlich"
+     */
+    label(frequency) {
+        return FREQUENCIES[frequency]?.label || frequency;
+    }
+}
+
+export const resampler = new SeriesResampler();
+export default SeriesResampler;
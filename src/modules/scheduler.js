@@ -0,0 +1,207 @@
+/**
+ * Purchase Scheduler Module
+ * Cost-minimizing order plan over the forecast horizon (dynamic programming)
+ */
+
+import { CONFIG } from './config.js';
+
+const DAYS_PER_MONTH = 365 / 12;
+
+// €/L penalty for dropping below the safety level - effectively forbidden
+const SHORTFALL_PENALTY = 100;
+
+class PurchaseScheduler {
+    constructor() {
+        this.plan = null;
+    }
+    
+    /**
+     * Plan orders month by month
+     * @param {Object} input
+     * @param {Array} input.prices - Expected price path [{date, price}], index 0 = now
+     * @param {number} input.litersPerDay - Projected consumption
+     * @param {number[]} [input.litersPerMonth] - Consumption per full price month, replaces litersPerDay
+     *        (seasonal usage from degree days)
+     * @param {number} input.capacity - Tank volume (L)
+     * @param {number} input.currentLevel - Current level (L)
+     * @param {number} input.safetyLevel - Level that must not be undercut (L)
+     * @param {number} input.minOrder - Minimum order quantity (L)
+     * @param {Function} input.orderCost - (liters, marketPrice) => total €, e.g. supplier pricing
+     */
+    createPlan({
+        prices,
+        litersPerDay,
+        litersPerMonth = null,
+        capacity,
+        currentLevel,
+        safetyLevel,
+        minOrder,
+        orderCost = (liters, price) => liters * price,
+        step = CONFIG.scheduler.stepLiters
+    }) {
+        if (!prices?.length || !capacity || !(litersPerDay > 0 || litersPerMonth)) return null;
+        
+        const months = prices.length;
+        const monthlyUsage = this.gridUsage(prices, litersPerDay, litersPerMonth, step);
+        const levels = Math.floor(capacity / step) + 1;
+        const creditPrice = this.creditPrice(prices);
+        
+        // Oil left at the end of the horizon is credited at the cheapest planned price,
+        // so stocking up for after the horizon never looks better than buying it then
+        let next = Array.from({ length: levels }, (_, i) => -i * step * creditPrice);
+        const decisions = [];
+        
+        for (let t = months - 1; t >= 0; t--) {
+            const current = new Array(levels).fill(Infinity);
+            const choice = new Array(levels).fill(0);
+            
+            // Order cost only depends on quantity and this month's price
+            const costs = Array.from({ length: levels }, (_, q) => q > 0 ? orderCost(q * step, prices[t].price) : 0);
+            
+            for (let i = 0; i < levels; i++) {
+                for (let j = i; j < levels; j++) {
+                    const quantity = (j - i) * step;
+                    if (quantity > 0 && quantity < minOrder) continue;
+                    
+                    const { endIndex, shortfall } = this.consume(j * step, monthlyUsage[t], safetyLevel, step);
+                    const cost = costs[j - i] + shortfall * SHORTFALL_PENALTY + next[endIndex];
+                    
+                    if (cost < current[i]) {
+                        current[i] = cost;
+                        choice[i] = j;
+                    }
+                }
+            }
+            
+            decisions[t] = choice;
+            next = current;
+        }
+        
+        // Forward pass: extract the orders
+        const orders = [];
+        const levelPath = [];
+        let index = Math.min(levels - 1, Math.floor(currentLevel / step));
+        
+        for (let t = 0; t < months; t++) {
+            const target = decisions[t][index];
+            const liters = (target - index) * step;
+            
+            if (liters > 0) {
+                orders.push(this.createOrder(t, prices[t], liters, orderCost));
+            }
+            
+            levelPath.push({ date: prices[t].date, level: target * step });
+            index = this.consume(target * step, monthlyUsage[t], safetyLevel, step).endIndex;
+        }
+        
+        const plan = this.summarize(orders, index * step, creditPrice);
+        const baseline = this.simulateFillNow({ prices, monthlyUsage, capacity, currentLevel, safetyLevel, orderCost });
+        
+        this.plan = {
+            ...plan,
+            orders,
+            levelPath,
+            litersPerMonth: monthlyUsage,
+            baseline,
+            savingsVsFillNow: baseline.netCost - plan.netCost
+        };
+        
+        return this.plan;
+    }
+    
+    /**
+     * Usage per price month on the level grid, so plan and baseline consume the same amount
+     * Index 0 only counts the rest of the current month. Rounding carries its remainder
+     * into the next month, so small or seasonal usage is not lost (or inflated) step by step.
+     */
+    gridUsage(prices, litersPerDay, litersPerMonth, step) {
+        const today = new Date(prices[0].date);
+        const daysInMonth = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)).getUTCDate();
+        const rest = (daysInMonth - today.getUTCDate() + 1) / daysInMonth;
+        let carry = 0;
+        
+        return prices.map((_, t) => {
+            const liters = (litersPerMonth ? litersPerMonth[t] || 0 : litersPerDay * DAYS_PER_MONTH) * (t === 0 ? rest : 1);
+            const rounded = Math.max(0, Math.round((liters + carry) / step) * step);
+            carry += liters - rounded;
+            return rounded;
+        });
+    }
+    
+    /**
+     * Reference strategy: fill up now, refill to full whenever the
+     * safety level would be undercut
+     */
+    simulateFillNow({ prices, monthlyUsage, capacity, currentLevel, safetyLevel, orderCost }) {
+        const orders = [];
+        let level = currentLevel;
+        
+        prices.forEach((point, t) => {
+            if (t === 0 || level - monthlyUsage[t] < safetyLevel) {
+                const liters = capacity - level;
+                if (liters > 0) orders.push(this.createOrder(t, point, liters, orderCost));
+                level = capacity;
+            }
+            level = Math.max(0, level - monthlyUsage[t]);
+        });
+        
+        return {
+            ...this.summarize(orders, level, this.creditPrice(prices)),
+            orders
+        };
+    }
+    
+    /**
+     * One month of consumption on the level grid
+     */
+    consume(level, usage, safetyLevel, step) {
+        const after = level - usage;
+        return {
+            endIndex: Math.floor(Math.max(0, after) / step),
+            shortfall: Math.max(0, safetyLevel - after)
+        };
+    }
+    
+    /**
+     * Order entry for one planned delivery
+     */
+    createOrder(monthIndex, point, liters, orderCost) {
+        const date = new Date(point.date);
+        const cost = orderCost(liters, point.price);
+        return {
+            monthIndex,
+            date: point.date,
+            label: date.toLocaleDateString('de-AT', { month: 'long', year: 'numeric' }),
+            liters,
+            price: point.price,
+            cost,
+            effectivePrice: cost / liters
+        };
+    }
+    
+    /**
+     * €/L credited for oil left at the end of the horizon: the lowest expected price
+     */
+    creditPrice(prices) {
+        return Math.min(...prices.map(p => p.price));
+    }
+    
+    /**
+     * Total purchase cost and net cost after crediting the remaining oil
+     */
+    summarize(orders, endLevel, creditPrice) {
+        const totalCost = orders.reduce((sum, o) => sum + o.cost, 0);
+        const endValue = endLevel * creditPrice;
+        
+        return {
+            totalCost,
+            totalLiters: orders.reduce((sum, o) => sum + o.liters, 0),
+            endLevel,
+            endValue,
+            netCost: totalCost - endValue
+        };
+    }
+}
+
+export const purchaseScheduler = new PurchaseScheduler();
+export default PurchaseScheduler;
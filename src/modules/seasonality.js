@@ -0,0 +1,69 @@
+/**
+ * Seasonality Module
+ * Classical multiplicative decomposition: price = trend × seasonal × residual
+ */
+
+import { regionRegistry } from './regions.js';
+
+const PERIOD = 12;
+const MIN_MONTHS = 2 * PERIOD;
+
+class SeasonalDecomposer {
+    /**
+     * Decompose a monthly series into trend, seasonal and residual parts
+     * Trend is a centered 2×12 moving average, so the first and last
+     * six months have no trend/residual value (null).
+     */
+    decompose(historical) {
+        if (!historical || historical.length < MIN_MONTHS) return null;
+        
+        const prices = historical.map(h => h.price);
+        const months = historical.map(h => new Date(h.date).getMonth());
+        const n = prices.length;
+        const half = PERIOD / 2;
+        
+        // Centered moving average
+        const trend = prices.map((_, t) => {
+            if (t - half < 0 || t + half >= n) return null;
+            let sum = 0.5 * prices[t - half] + 0.5 * prices[t + half];
+            for (let k = t - half + 1; k < t + half; k++) sum += prices[k];
+            return sum / PERIOD;
+        });
+        
+        // Average detrended ratio per calendar month
+        const ratios = Array.from({ length: PERIOD }, () => []);
+        trend.forEach((value, t) => {
+            if (value) ratios[months[t]].push(prices[t] / value);
+        });
+        
+        const raw = ratios.map(r => r.length ? r.reduce((a, b) => a + b, 0) / r.length : 1);
+        const mean = raw.reduce((a, b) => a + b, 0) / PERIOD;
+        
+        const factors = {};
+        raw.forEach((value, month) => {
+            factors[month] = value / mean;
+        });
+        
+        const seasonal = months.map(m => factors[m]);
+        const residual = prices.map((p, t) => trend[t] ? p / (trend[t] * seasonal[t]) : null);
+        
+        return { trend, seasonal, residual, factors };
+    }
+    
+    /**
+     * Seasonal factors for the forecast
+     * Falls back to the selected region's profile when history is shorter than two years.
+     */
+    getSeasonalFactors(historical) {
+        const decomposition = this.decompose(historical);
+        
+        if (!decomposition) {
+            return { factors: regionRegistry.getSeasonalFactors(), source: 'config' };
+        }
+        
+        return { factors: decomposition.factors, source: 'estimated' };
+    }
+}
+
+export const seasonality = new SeasonalDecomposer();
+export default SeasonalDecomposer;
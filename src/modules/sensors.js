@@ -0,0 +1,182 @@
+/**
+ * Tank Sensors Module
+ * Converts raw level sensor values (distance, fill height, percent) into liters,
+ * applies them to a tank profile and detects sensors that stopped reporting
+ */
+
+import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { tankShapes } from './tank-shapes.js';
+
+const SENSOR_TYPES = {
+    distance: { label: 'Abstand (Ultraschall)', unit: 'cm' },
+    height: { label: 'Füllhöhe (Druck)', unit: 'cm' },
+    percent: { label: 'Prozent', unit: '%' },
+    liters: { label: 'Liter', unit: 'L' }
+};
+
+class TankSensors {
+    /**
+     * Sensor types for the UI and docs
+     */
+    getTypes() {
+        return Object.entries(SENSOR_TYPES).map(([id, type]) => ({ id, ...type }));
+    }
+    
+    /**
+     * Check a tank's sensor configuration
+     * The full fill height comes from the tank shape if it has one, else from sensor.heightCm.
+     */
+    validateSensor(sensor, shape = null) {
+        const errors = [];
+        const fullHeight = this.getFullHeight(sensor, shape);
+        
+        if (!sensor || !SENSOR_TYPES[sensor.type]) {
+            errors.push(`Sensortyp muss einer von ${Object.keys(SENSOR_TYPES).join(', ')} sein`);
+        } else if (sensor.type === 'distance' || sensor.type === 'height') {
+            if (!(fullHeight > 0)) errors.push('Füllhöhe des vollen Tanks (heightCm) fehlt');
+            if (sensor.mountCm !== undefined && !(sensor.mountCm >= fullHeight)) {
+                errors.push('Sensorhöhe (mountCm) muss mindestens der Füllhöhe entsprechen');
+            }
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Fill height of the full tank in cm
+     */
+    getFullHeight(sensor, shape) {
+        return (shape && tankShapes.getHeight(shape)) || sensor?.heightCm || null;
+    }
+    
+    /**
+     * Reading from an HTTP body or MQTT payload
+     * Accepts { value }, { distance }, { height }, { percent }, { liters } (each with optional
+     * date) or a bare number, which is read in the sensor's configured unit.
+     * @returns {?{ type: string, value: number, date: Date }} null if nothing usable
+     */
+    parseReading(payload, sensor) {
+        let data = payload;
+        if (typeof data === 'string' || data instanceof Uint8Array) {
+            const text = String(data instanceof Uint8Array ? new TextDecoder().decode(data) : data).trim();
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (typeof data === 'number') data = { value: data };
+        if (!data || typeof data !== 'object') return null;
+        
+        const type = Object.keys(SENSOR_TYPES).find(t => data[t] !== undefined) || sensor?.type;
+        const value = Number(data[type] ?? data.value);
+        const date = data.date || data.timestamp ? new Date(data.date || data.timestamp) : new Date();
+        
+        if (!SENSOR_TYPES[type] || !Number.isFinite(value) || isNaN(date.getTime())) return null;
+        return { type, value, date };
+    }
+    
+    /**
+     * Liters for a reading of a tank
+     * Distance is measured from the sensor down to the oil surface; fill height from the bottom.
+     * Heights are converted with the tank shape (tank-shapes.js), without one linearly.
+     * @returns {{ valid: boolean, level: ?number, errors: string[] }}
+     */
+    toLiters(reading, tank) {
+        const { sensor, shape, volume } = tank;
+        const fullHeight = this.getFullHeight(sensor, shape);
+        const errors = [];
+        let share = null;
+        let height = null;
+        
+        if (!(volume > 0)) {
+            errors.push('Tank-Volumen fehlt');
+        } else if (reading.type === 'liters') {
+            share = reading.value / volume;
+        } else if (reading.type === 'percent') {
+            share = reading.value / 100;
+        } else if (!(fullHeight > 0)) {
+            errors.push('Füllhöhe des vollen Tanks (heightCm) fehlt');
+        } else {
+            height = reading.type === 'distance'
+                ? (sensor.mountCm ?? fullHeight) - reading.value
+                : reading.value;
+            share = height / fullHeight;
+        }
+        
+        // Small overshoots are sensor noise, anything beyond is a wrong reading or configuration
+        const tolerance = CONFIG.sensors.tolerancePercent / 100;
+        if (share !== null && (share < -tolerance || share > 1 + tolerance)) {
+            errors.push(`Messwert ${reading.value} ${SENSOR_TYPES[reading.type].unit} ergibt ${Math.round(share * 100)} % – unplausibel`);
+        }
+        if (errors.length) return { valid: false, level: null, errors };
+        
+        const clamped = Math.min(1, Math.max(0, share));
+        const level = height !== null && shape
+            ? tankShapes.toLiters(shape, clamped * fullHeight, volume).level
+            : Math.round(clamped * volume);
+        
+        return {
+            valid: true,
+            level: Math.min(level, volume),
+            errors
+        };
+    }
+    
+    /**
+     * Tank profile with the converted reading as current level and in the history
+     * (one reading per day is kept, see storage.withReading)
+     * @returns {{ valid: boolean, tank: ?Object, level: ?number, errors: string[] }}
+     */
+    applyReading(tank, reading) {
+        const converted = this.toLiters(reading, tank);
+        if (!converted.valid) return { valid: false, tank: null, level: null, errors: converted.errors };
+        
+        const levelHistory = storage.withReading(tank.levelHistory || [], converted.level, reading.date);
+        const latest = levelHistory[levelHistory.length - 1];
+        
+        return {
+            valid: true,
+            level: converted.level,
+            errors: [],
+            tank: {
+                ...tank,
+                currentLevel: latest.level,
+                lastUpdate: latest.date,
+                levelHistory,
+                sensor: {
+                    ...tank.sensor,
+                    lastSeen: reading.date.toISOString(),
+                    lastValue: reading.value,
+                    lastType: reading.type
+                }
+            }
+        };
+    }
+    
+    /**
+     * Sensor state of a tank: stale once nothing arrived for CONFIG.sensors.staleAfterMs
+     */
+    getStatus(tank, now = Date.now()) {
+        const sensor = tank?.sensor;
+        if (!sensor) return { configured: false, lastSeen: null, ageMs: null, stale: false };
+        
+        const ageMs = sensor.lastSeen ? Math.max(0, now - new Date(sensor.lastSeen).getTime()) : null;
+        
+        return {
+            configured: true,
+            type: sensor.type,
+            lastSeen: sensor.lastSeen || null,
+            lastValue: sensor.lastValue ?? null,
+            ageMs,
+            stale: ageMs === null || ageMs > CONFIG.sensors.staleAfterMs
+        };
+    }
+}
+
+export const tankSensors = new TankSensors();
+export default TankSensors;
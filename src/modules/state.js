@@ -1,78 +1,339 @@
 /**
  * State Management Module
  * Simple reactive state for Heizöl-Optimizer
+ * with batched notifications, derived keys, bounded change history,
+ * undo/redo and middleware (e.g. persistence)
  */
 
+import { CONFIG } from './config.js';
+
 class StateManager {
-    constructor(initialState = {}) {
+    constructor(initialState = {}, { maxHistory = CONFIG.state.maxHistory, maxUndo = CONFIG.state.maxUndo } = {}) {
         this.state = initialState;
-        this.listeners = new Map();
+        this.subscriptions = new Set();
+        this.derived = new Map();
         this.history = [];
+        this.maxHistory = maxHistory;
+        this.maxUndo = maxUndo;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoListeners = new Set();
+        this.middleware = [];
+        this.batchDepth = 0;
+        this.pending = new Map();
+        this.transaction = null;
     }
     
     /**
      * Get current state
+     * Derived keys are computed on demand and memoized on their inputs.
      */
     get(key = null) {
         if (key === null) return { ...this.state };
+        if (this.derived.has(key)) return this.compute(this.derived.get(key));
         return this.state[key];
     }
     
     /**
      * Set state and notify listeners
+     * @param {Object} options - undoable: record as one undo step (user changes only),
+     *                           label: text for the undo button,
+     *                           persist: false skips persistence middleware (e.g. when loading)
      */
-    set(key, value) {
-        const oldValue = this.state[key];
-        this.state[key] = value;
+    set(key, value, options = {}) {
+        this.update({ [key]: value }, options);
+    }
+    
+    /**
+     * Update multiple keys at once
+     * Runs as a batch: all values are in place before listeners run, every
+     * listener is called once, and an undoable update is a single undo step.
+     */
+    update(updates, { undoable = false, label = null, ...meta } = {}) {
+        const changes = Object.entries(updates).map(([key, value]) => {
+            if (this.derived.has(key)) throw new Error(`State key "${key}" is derived and cannot be set`);
+            return { key, oldValue: this.state[key], newValue: value };
+        });
         
-        // Track history
-        this.history.push({
-            timestamp: Date.now(),
-            key,
-            oldValue,
-            newValue: value
+        this.batch(() => {
+            this.apply(changes, 'newValue', { ...meta, origin: 'set' });
+            
+            if (undoable || this.transaction.undoable) {
+                this.transaction.changes.push(...changes);
+                this.transaction.label = this.transaction.label || label;
+            }
         });
+    }
+    
+    /**
+     * Run several updates as one transaction
+     * Values and middleware apply immediately, listeners are notified once
+     * when the outermost batch ends. fn must be synchronous.
+     * @param {Object} options - undoable/label: record everything in the batch as one undo step
+     *                           (otherwise only the undoable updates inside are recorded, merged)
+     * @returns {*} The return value of fn
+     */
+    batch(fn, { undoable = false, label = null } = {}) {
+        const outermost = this.batchDepth === 0;
+        if (outermost) {
+            this.transaction = { undoable, label, changes: [] };
+        }
         
-        // Notify listeners
-        this.notify(key, value, oldValue);
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            
+            if (outermost) {
+                const { label: stepLabel, changes } = this.transaction;
+                this.transaction = null;
+                this.recordUndo(stepLabel, changes);
+                this.flush();
+            }
+        }
     }
     
     /**
-     * Update multiple keys at once
+     * Push an undo step; several changes of one key collapse into one
      */
-    update(updates) {
-        Object.entries(updates).forEach(([key, value]) => {
-            this.set(key, value);
+    recordUndo(label, changes) {
+        if (!changes.length) return;
+        
+        const byKey = new Map();
+        changes.forEach(({ key, oldValue, newValue }) => {
+            byKey.set(key, { key, oldValue: byKey.has(key) ? byKey.get(key).oldValue : oldValue, newValue });
         });
+        
+        this.undoStack.push({ label, changes: [...byKey.values()], timestamp: Date.now() });
+        if (this.undoStack.length > this.maxUndo) this.undoStack.shift();
+        this.redoStack = [];
+        this.notifyUndo();
     }
     
     /**
-     * Subscribe to state changes
+     * Revert the last undoable change
+     * @returns {?Object} The reverted step ({ label, changes })
      */
-    subscribe(key, callback) {
-        if (!this.listeners.has(key)) {
-            this.listeners.set(key, new Set());
-        }
-        this.listeners.get(key).add(callback);
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
         
-        // Return unsubscribe function
+        this.batch(() => this.apply(step.changes, 'oldValue', { origin: 'undo' }));
+        this.redoStack.push(step);
+        this.notifyUndo();
+        return step;
+    }
+    
+    /**
+     * Re-apply the last undone change
+     * @returns {?Object} The re-applied step
+     */
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        
+        this.batch(() => this.apply(step.changes, 'newValue', { origin: 'redo' }));
+        this.undoStack.push(step);
+        this.notifyUndo();
+        return step;
+    }
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Labels of the next undo/redo steps, for buttons
+     */
+    getUndoState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null
+        };
+    }
+    
+    /**
+     * Subscribe to undo/redo availability
+     */
+    onUndoChange(callback) {
+        this.undoListeners.add(callback);
+        return () => this.undoListeners.delete(callback);
+    }
+    
+    notifyUndo() {
+        const undoState = this.getUndoState();
+        this.undoListeners.forEach(callback => {
+            try {
+                callback(undoState);
+            } catch (error) {
+                console.error('Undo listener error:', error);
+            }
+        });
+    }
+    
+    /**
+     * Register middleware, called for every change before listeners:
+     * middleware({ key, value, oldValue, origin: 'set'|'undo'|'redo', persist })
+     * @returns {Function} Removes the middleware
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
         return () => {
-            this.listeners.get(key).delete(callback);
+            this.middleware = this.middleware.filter(m => m !== middleware);
         };
     }
     
     /**
-     * Notify all listeners for a key
+     * Write values, record history, run middleware and queue the notification
+     * (sent when the surrounding batch ends)
+     * @param {string} field - 'newValue' or 'oldValue' (undo)
      */
-    notify(key, newValue, oldValue) {
-        if (this.listeners.has(key)) {
-            this.listeners.get(key).forEach(callback => {
+    apply(changes, field, meta) {
+        const applied = changes.map(change => ({
+            key: change.key,
+            value: change[field],
+            oldValue: this.state[change.key]
+        }));
+        
+        applied.forEach(({ key, value, oldValue }) => {
+            this.state[key] = value;
+            
+            // Bounded history
+            this.history.push({
+                timestamp: Date.now(),
+                key,
+                oldValue,
+                newValue: value,
+                origin: meta.origin
+            });
+            
+            // Listeners see the value from before the batch as oldValue
+            if (!this.pending.has(key)) this.pending.set(key, oldValue);
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.splice(0, this.history.length - this.maxHistory);
+        }
+        
+        applied.forEach(change => {
+            this.middleware.forEach(middleware => {
                 try {
-                    callback(newValue, oldValue, key);
+                    middleware({ ...change, ...meta });
                 } catch (error) {
-                    console.error(`State listener error for ${key}:`, error);
+                    console.error(`State middleware error for ${change.key}:`, error);
                 }
             });
+        });
+    }
+    
+    /**
+     * Define a derived (computed) key
+     * It is recomputed only when one of its inputs changed (by identity); listeners
+     * are notified when the result differs. Inputs may be other derived keys
+     * defined before this one.
+     * @param {string} key - e.g. 'fillPercent'
+     * @param {string[]} inputs - state keys passed to compute in this order
+     * @param {Function} compute - (...inputValues) => value
+     */
+    derive(key, inputs, compute) {
+        if (this.derived.has(key) || key in this.state) {
+            throw new Error(`State key "${key}" is already defined`);
+        }
+        
+        // notified is the value listeners last saw; get() may refresh memo in between
+        this.derived.set(key, { key, inputs, compute, memo: null, notified: undefined });
+        return this;
+    }
+    
+    /**
+     * Value of a derived key, recomputed if an input changed since the last call
+     */
+    compute(selector) {
+        const values = selector.inputs.map(input => this.get(input));
+        const memo = selector.memo;
+        if (memo && values.every((value, i) => value === memo.inputs[i])) return memo.value;
+        
+        selector.memo = { inputs: values, value: selector.compute(...values) };
+        return selector.memo.value;
+    }
+    
+    /**
+     * Subscribe to state changes
+     * @param {string|string[]} keys - a key, a pattern ('*' for everything, 'tank*' for a prefix),
+     *        or an array of keys/patterns
+     * @param {Function} callback - single key or pattern: (value, oldValue, key), once per changed key;
+     *        array: (values, changedKeys) once per batch, however many of the keys changed
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(keys, callback) {
+        const subscription = {
+            patterns: Array.isArray(keys) ? keys : [keys],
+            grouped: Array.isArray(keys),
+            callback
+        };
+        this.subscriptions.add(subscription);
+        
+        // Return unsubscribe function
+        return () => {
+            this.subscriptions.delete(subscription);
+        };
+    }
+    
+    /**
+     * Notify listeners about everything changed since the last flush
+     * Derived keys whose inputs changed are recomputed first, but only if someone
+     * listens to them; the others are recomputed lazily by get().
+     */
+    flush() {
+        if (!this.pending.size) return;
+        
+        const changed = new Map([...this.pending].map(([key, oldValue]) => [key, { value: this.state[key], oldValue }]));
+        this.pending.clear();
+        
+        const dirty = new Set(changed.keys());
+        this.derived.forEach(selector => {
+            if (!selector.inputs.some(input => dirty.has(input))) return;
+            dirty.add(selector.key);
+            if (!this.isObserved(selector.key)) return;
+            
+            const oldValue = selector.notified;
+            const value = this.compute(selector);
+            selector.notified = value;
+            if (value !== oldValue) changed.set(selector.key, { value, oldValue });
+        });
+        
+        const keys = [...changed.keys()];
+        [...this.subscriptions].forEach(({ patterns, grouped, callback }) => {
+            const matching = keys.filter(key => patterns.some(pattern => matchesKey(pattern, key)));
+            if (!matching.length) return;
+            
+            if (grouped) {
+                const values = Object.fromEntries(matching.map(key => [key, changed.get(key).value]));
+                this.call(callback, [values, matching], matching.join(', '));
+            } else {
+                matching.forEach(key => this.call(callback, [changed.get(key).value, changed.get(key).oldValue, key], key));
+            }
+        });
+    }
+    
+    /**
+     * True if a listener depends on the key, directly or through derived keys
+     */
+    isObserved(key) {
+        return [...this.subscriptions].some(s => s.patterns.some(pattern => matchesKey(pattern, key))) ||
+            [...this.derived.values()].some(selector => selector.inputs.includes(key) && this.isObserved(selector.key));
+    }
+    
+    call(callback, args, key) {
+        try {
+            callback(...args);
+        } catch (error) {
+            console.error(`State listener error for ${key}:`, error);
         }
     }
     
@@ -82,29 +343,94 @@ class StateManager {
     reset(initialState = {}) {
         this.state = initialState;
         this.history = [];
-        this.listeners.forEach((listeners, key) => {
-            this.notify(key, this.state[key], undefined);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.derived.forEach(selector => {
+            selector.memo = null;
+            selector.notified = undefined;
         });
+        this.notifyUndo();
+        Object.keys(this.state).forEach(key => this.pending.set(key, undefined));
+        this.flush();
     }
 }
 
+/**
+ * Exact key, '*' or a prefix pattern like 'tank*'
+ */
+function matchesKey(pattern, key) {
+    if (pattern === key || pattern === '*') return true;
+    return pattern.endsWith('*') && key.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * App state with all keys at their defaults
+ * The browser app uses the global `state`; scripts and the CLI create their own
+ * and hand it to the engines (forecast.js, recommendation.js, data-service.js).
+ * @param {Object} values - initial values overriding the defaults
+ */
+export function createState(values = {}) {
+    const store = new StateManager({
+        // Price data
+        region: null,
+        priceData: null,
+        currentPrice: null,
+        marketData: null,
+        dataSource: null,      // 'network' | 'cache' | 'fallback'
+        dataFetchedAt: null,
+        dataAge: null,         // ms since dataFetchedAt
+        isFallback: false,     // synthetic prices, no real data available
+        nextRefreshAt: null,   // background refresh (refresh-scheduler.js)
+        today: new Date().toISOString().split('T')[0],  // date-dependent derived keys recompute when the day changes
+        
+        // Tank data (active tank; all profiles in tanks)
+        tanks: [],
+        activeTankId: null,
+        tankVolume: null,
+        tankLevel: null,
+        tankShape: null,       // geometry for dipstick heights and the tank visual (tank-shapes.js)
+        levelHistory: [],
+        sensorStatus: null,    // level sensor of the tank (sensors.js): lastSeen, stale
+        temperatures: null,    // daily mean temperatures of a station (degree-days.js): { station, days }
+        
+        // Purchase ledger
+        purchases: [],
+        
+        // User settings (forecastModel, supplier)
+        settings: {},
+        
+        // UI state
+        isLoading: false,
+        error: null,
+        lastUpdate: null,
+        ...values
+    });
+    
+    // Derived keys: forecastModel and forecast are added by ForecastEngine,
+    // supplier and recommendation by RecommendationEngine
+    store.derive('fillPercent', ['tankVolume', 'tankLevel'], (volume, level) =>
+        volume && level !== null ? Math.round((level / volume) * 100) : null);
+    
+    return store;
+}
+
 // Create global state instance
-export const state = new StateManager({
-    // Price data
-    priceData: null,
-    currentPrice: null,
-    
-    // Forecast
-    forecast: null,
-    
-    // Tank data
-    tankVolume: null,
-    tankLevel: null,
-    
-    // UI state
-    isLoading: false,
-    error: null,
-    lastUpdate: null
-});
+export const state = createState();
+
+/**
+ * Persistence middleware: saves the given keys whenever they change
+ * (including undo/redo), unless the change was made with { persist: false }.
+ * @param {Object} bindings - { stateKey: (value) => saveResult }
+ */
+export function persistKeys(bindings) {
+    return ({ key, value, persist }) => {
+        if (persist === false || !bindings[key]) return;
+        
+        const result = bindings[key](value);
+        if (result && result.success === false) {
+            console.error(`Failed to persist ${key}:`, result.error);
+        }
+    };
+}
 
 export default StateManager;
\ No newline at end of file
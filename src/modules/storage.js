@@ -4,6 +4,7 @@
  */
 
 import { CONFIG } from './config.js';
+import { tankShapes } from './tank-shapes.js';
 
 class StorageService {
     constructor() {
@@ -11,41 +12,235 @@ class StorageService {
     }
     
     /**
-     * Save tank data to LocalStorage
+     * Load tank profiles
+     * The single tank of older versions becomes the first profile.
      */
-    saveTankData(volume, currentLevel) {
+    loadTanks() {
         try {
-            localStorage.setItem(CONFIG.storage.tankVolume, volume.toString());
-            localStorage.setItem(CONFIG.storage.currentLevel, currentLevel.toString());
-            localStorage.setItem(CONFIG.storage.lastUpdate, new Date().toISOString());
-            return { success: true };
+            const data = localStorage.getItem(CONFIG.storage.tanks);
+            const tanks = data ? JSON.parse(data) : null;
+            // Regions removed from the config fall back to the default region
+            if (Array.isArray(tanks) && tanks.length) {
+                return tanks.map(t => CONFIG.regions.list[t.region] ? t : { ...t, region: CONFIG.regions.default });
+            }
+        } catch (error) {
+            console.error('Failed to load tanks:', error);
+        }
+        
+        const migrated = [this.migrateLegacyTank()];
+        this.saveTanks(migrated);
+        return migrated;
+    }
+    
+    /**
+     * Save tank profiles
+     */
+    saveTanks(tanks) {
+        try {
+            localStorage.setItem(CONFIG.storage.tanks, JSON.stringify(tanks));
+            return { success: true, tanks };
         } catch (error) {
-            console.error('Failed to save tank data:', error);
+            console.error('Failed to save tanks:', error);
             return { success: false, error: error.message };
         }
     }
     
     /**
-     * Load tank data from LocalStorage
+     * Build a profile from the pre-profile storage keys
      */
-    loadTankData() {
+    migrateLegacyTank() {
         const volume = localStorage.getItem(CONFIG.storage.tankVolume);
+        const { region } = this.loadSettings();
         const level = localStorage.getItem(CONFIG.storage.currentLevel);
+        let levelHistory = [];
+        
+        try {
+            const history = JSON.parse(localStorage.getItem(CONFIG.storage.levelHistory) || '[]');
+            levelHistory = Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.error('Failed to migrate level history:', error);
+        }
         
         return {
+            id: this.createTankId(),
+            name: CONFIG.tanks.defaultName,
+            property: '',
+            region: CONFIG.regions.list[region] ? region : CONFIG.regions.default,
             volume: volume ? parseInt(volume) : null,
             currentLevel: level ? parseInt(level) : null,
-            lastUpdate: localStorage.getItem(CONFIG.storage.lastUpdate)
+            lastUpdate: localStorage.getItem(CONFIG.storage.lastUpdate),
+            levelHistory
         };
     }
     
     /**
-     * Clear all tank data
+     * Unique tank profile id
+     */
+    createTankId() {
+        return `t_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+    
+    /**
+     * Id of the selected tank (first profile if none or unknown)
+     */
+    getActiveTankId() {
+        const tanks = this.loadTanks();
+        const id = localStorage.getItem(CONFIG.storage.activeTank);
+        return tanks.some(t => t.id === id) ? id : tanks[0].id;
+    }
+    
+    /**
+     * Select the tank all single-tank operations refer to
+     */
+    setActiveTank(tankId) {
+        if (!this.loadTanks().some(t => t.id === tankId)) {
+            return { success: false, error: 'Tank nicht gefunden' };
+        }
+        
+        localStorage.setItem(CONFIG.storage.activeTank, tankId);
+        return { success: true };
+    }
+    
+    /**
+     * New tank profile object (not saved)
+     */
+    buildTank({ name, property = '', region = CONFIG.regions.default, volume, currentLevel, shape = null }) {
+        const now = new Date().toISOString();
+        
+        return {
+            id: this.createTankId(),
+            name: name.trim(),
+            property: property.trim(),
+            region,
+            volume,
+            currentLevel,
+            shape,
+            lastUpdate: now,
+            levelHistory: [{ date: now, level: currentLevel }]
+        };
+    }
+    
+    /**
+     * Level history with a reading added (not saved)
+     * A second reading on the same day replaces the earlier one, wherever it sits
+     * in the history (backdated readings, sensor values arriving late).
+     */
+    withReading(levelHistory, level, date = new Date()) {
+        const reading = { date: date.toISOString(), level };
+        
+        // Calendar days in local time: a reading at 00:30 CET belongs to today, not yesterday (UTC)
+        const localDay = (d) => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+        const day = localDay(date);
+        
+        const history = levelHistory.filter(r => localDay(new Date(r.date)) !== day);
+        history.push(reading);
+        
+        history.sort((a, b) => new Date(a.date) - new Date(b.date));
+        return history.slice(-CONFIG.consumption.maxReadings);
+    }
+    
+    /**
+     * Save purchase ledger (sorted by delivery date)
+     */
+    savePurchases(purchases) {
+        try {
+            const sorted = this.sortPurchases(purchases);
+            localStorage.setItem(CONFIG.storage.purchases, JSON.stringify(sorted));
+            return { success: true, purchases: sorted };
+        } catch (error) {
+            console.error('Failed to save purchases:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Purchases sorted by delivery date
+     */
+    sortPurchases(purchases) {
+        return [...purchases].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+    
+    /**
+     * Load purchase ledger
+     */
+    loadPurchases() {
+        try {
+            const data = localStorage.getItem(CONFIG.storage.purchases);
+            const purchases = data ? JSON.parse(data) : [];
+            return Array.isArray(purchases) ? purchases : [];
+        } catch (error) {
+            console.error('Failed to load purchases:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Unique purchase id
+     */
+    createPurchaseId() {
+        return `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+    
+    /**
+     * Save price alert rules
+     */
+    saveAlerts(alerts) {
+        try {
+            localStorage.setItem(CONFIG.storage.alerts, JSON.stringify(alerts));
+            return { success: true, alerts };
+        } catch (error) {
+            console.error('Failed to save alerts:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Load price alert rules
+     */
+    loadAlerts() {
+        try {
+            const data = localStorage.getItem(CONFIG.storage.alerts);
+            const alerts = data ? JSON.parse(data) : [];
+            return Array.isArray(alerts) ? alerts : [];
+        } catch (error) {
+            console.error('Failed to load alerts:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Append triggered alerts to the history (newest last)
+     */
+    addAlertHistory(entries) {
+        return this.saveAlertHistory([...this.loadAlertHistory(), ...entries]);
+    }
+    
+    /**
+     * Replace the history of triggered alerts (oldest first, capped at maxHistory)
      */
-    clearTankData() {
-        localStorage.removeItem(CONFIG.storage.tankVolume);
-        localStorage.removeItem(CONFIG.storage.currentLevel);
-        localStorage.removeItem(CONFIG.storage.lastUpdate);
+    saveAlertHistory(entries) {
+        const history = entries.slice(-CONFIG.alerts.maxHistory);
+        try {
+            localStorage.setItem(CONFIG.storage.alertHistory, JSON.stringify(history));
+            return { success: true, history };
+        } catch (error) {
+            console.error('Failed to save alert history:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Load history of triggered alerts
+     */
+    loadAlertHistory() {
+        try {
+            const data = localStorage.getItem(CONFIG.storage.alertHistory);
+            const history = data ? JSON.parse(data) : [];
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.error('Failed to load alert history:', error);
+            return [];
+        }
     }
     
     /**
@@ -69,11 +264,33 @@ class StorageService {
     }
     
     /**
-     * Check if tank data exists
+     * Save imported daily temperatures (null removes them)
      */
-    hasTankData() {
-        const data = this.loadTankData();
-        return data.volume !== null && data.currentLevel !== null;
+    saveTemperatures(temperatures) {
+        try {
+            if (temperatures) {
+                localStorage.setItem(CONFIG.storage.temperatures, JSON.stringify(temperatures));
+            } else {
+                localStorage.removeItem(CONFIG.storage.temperatures);
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to save temperatures:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Load imported daily temperatures
+     */
+    loadTemperatures() {
+        try {
+            const data = localStorage.getItem(CONFIG.storage.temperatures);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Failed to load temperatures:', error);
+            return null;
+        }
     }
     
     /**
@@ -99,6 +316,58 @@ class StorageService {
             errors
         };
     }
+    
+    /**
+     * Validate a tank profile
+     * A profile without any tank data yet (volume and level null) is valid.
+     */
+    validateTankProfile(profile) {
+        const errors = [];
+        
+        if (!profile.name || !profile.name.trim()) {
+            errors.push('Tank braucht einen Namen');
+        }
+        
+        if (profile.volume !== null || profile.currentLevel !== null) {
+            errors.push(...this.validateTankData(profile.volume, profile.currentLevel).errors);
+        }
+        
+        if (profile.shape) {
+            errors.push(...tankShapes.validateShape(profile.shape).errors);
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Validate purchase record
+     */
+    validatePurchase(purchase) {
+        const errors = [];
+        const date = new Date(purchase.date);
+        
+        if (!purchase.date || isNaN(date.getTime())) {
+            errors.push('Lieferdatum fehlt oder ist ungültig');
+        } else if (date > new Date()) {
+            errors.push('Lieferdatum darf nicht in der Zukunft liegen');
+        }
+        
+        if (!Number.isFinite(purchase.liters) || purchase.liters <= 0) {
+            errors.push('Liefermenge muss größer als 0 Liter sein');
+        }
+        
+        if (!Number.isFinite(purchase.totalPrice) || purchase.totalPrice <= 0) {
+            errors.push('Gesamtpreis muss größer als 0 € sein');
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
 }
 
 export const storage = new StorageService();
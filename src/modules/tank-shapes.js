@@ -0,0 +1,178 @@
+/**
+ * Tank Shapes Module
+ * Converts a dipstick or gauge height (cm) into liters for real tank geometries
+ * and back into a fill height for the tank visual
+ */
+
+/**
+ * Share of the volume at a share of the height for a horizontal cylinder
+ * (area of the circular segment over the area of the circle)
+ */
+function circularSegment(x) {
+    const d = 1 - 2 * x;
+    return (Math.acos(d) - d * Math.sqrt(1 - d * d)) / Math.PI;
+}
+
+const linear = (x) => x;
+
+const SHAPES = {
+    upright: { label: 'Stehender Zylinder', heightLabel: 'Füllhöhe voll (cm)', share: linear },
+    horizontal: { label: 'Liegender Zylinder', heightLabel: 'Innendurchmesser (cm)', share: circularSegment },
+    cuboid: { label: 'Quader / Kellertank', heightLabel: 'Füllhöhe voll (cm)', share: linear },
+    battery: { label: 'Batterietank', heightLabel: 'Füllhöhe voll (cm)', share: linear },
+    table: { label: 'Peiltabelle (Typenschild)', heightLabel: null, share: null }
+};
+
+class TankShapes {
+    /**
+     * Shapes for selection in the UI
+     */
+    list() {
+        return Object.entries(SHAPES).map(([id, shape]) => ({ id, label: shape.label, heightLabel: shape.heightLabel }));
+    }
+    
+    /**
+     * Check a tank's shape
+     * Shape: { type, heightCm } plus units (battery) or table: [{ cm, liters }] (table)
+     */
+    validateShape(shape) {
+        const errors = [];
+        
+        if (!shape) {
+            errors.push('Keine Tankform hinterlegt');
+        } else if (!SHAPES[shape.type]) {
+            errors.push(`Tankform muss eine von ${Object.keys(SHAPES).join(', ')} sein`);
+        } else if (shape.type === 'table') {
+            const table = shape.table || [];
+            if (table.length < 2) {
+                errors.push('Peiltabelle braucht mindestens 2 Zeilen');
+            } else if (table.some(row => !Number.isFinite(row.cm) || !Number.isFinite(row.liters) || row.cm < 0 || row.liters < 0)) {
+                errors.push('Peiltabelle enthält ungültige Werte');
+            } else if (table.some((row, i) => i > 0 && (row.cm <= table[i - 1].cm || row.liters < table[i - 1].liters))) {
+                errors.push('Peiltabelle muss nach cm aufsteigend sortiert sein und darf nicht abnehmen');
+            }
+        } else {
+            if (!(shape.heightCm > 0)) errors.push(`${SHAPES[shape.type].heightLabel} fehlt`);
+            if (shape.type === 'battery' && !(Number.isInteger(shape.units) && shape.units >= 1)) {
+                errors.push('Anzahl der Batterietanks muss mindestens 1 sein');
+            }
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Fill height of the full tank in cm
+     */
+    getHeight(shape) {
+        if (shape?.type === 'table') return shape.table[shape.table.length - 1].cm;
+        return shape?.heightCm || null;
+    }
+    
+    /**
+     * Liters of the full tank according to a calibration table
+     */
+    getCapacity(shape) {
+        return shape?.type === 'table' ? shape.table[shape.table.length - 1].liters : null;
+    }
+    
+    /**
+     * Share of the volume (0..1) at a share of the height (0..1)
+     * Without a shape the tank is treated as upright (linear).
+     */
+    volumeShare(shape, heightShare) {
+        const x = Math.min(1, Math.max(0, heightShare));
+        if (shape?.type !== 'table') return (SHAPES[shape?.type]?.share || linear)(x);
+        
+        return this.interpolate(shape.table, x * this.getHeight(shape)) / this.getCapacity(shape);
+    }
+    
+    /**
+     * Share of the height (0..1) at a share of the volume (0..1) - for the tank visual
+     * Bisection works for every shape since volume grows with height.
+     */
+    heightShare(shape, volumeShare) {
+        const target = Math.min(1, Math.max(0, volumeShare));
+        let low = 0;
+        let high = 1;
+        
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (this.volumeShare(shape, mid) < target) low = mid;
+            else high = mid;
+        }
+        
+        return (low + high) / 2;
+    }
+    
+    /**
+     * Share of the height (0..1) the tank is filled to at `level` liters
+     */
+    fillHeight(shape, level, volume) {
+        const capacity = this.getCapacity(shape) || volume;
+        return capacity > 0 ? this.heightShare(shape, level / capacity) : 0;
+    }
+    
+    /**
+     * Liters at a measured height
+     * A calibration table gives liters directly; other shapes scale the tank volume.
+     * @returns {{ valid: boolean, level: ?number, errors: string[] }}
+     */
+    toLiters(shape, heightCm, volume) {
+        const errors = [...this.validateShape(shape).errors];
+        const fullHeight = errors.length ? null : this.getHeight(shape);
+        
+        if (!Number.isFinite(heightCm) || heightCm < 0) {
+            errors.push('Füllhöhe muss eine positive Zahl sein');
+        } else if (fullHeight !== null && heightCm > fullHeight) {
+            errors.push(`Füllhöhe ${heightCm} cm liegt über der Tankhöhe (${fullHeight} cm)`);
+        }
+        if (shape?.type !== 'table' && !(volume > 0)) {
+            errors.push('Tank-Volumen fehlt');
+        }
+        if (errors.length) return { valid: false, level: null, errors };
+        
+        const level = shape.type === 'table'
+            ? this.interpolate(shape.table, heightCm)
+            : this.volumeShare(shape, heightCm / fullHeight) * volume;
+        
+        return { valid: true, level: Math.round(level), errors: [] };
+    }
+    
+    /**
+     * Liters at `cm` by linear interpolation between table rows
+     * Below the first row the table is extended down to 0 cm / 0 L.
+     */
+    interpolate(table, cm) {
+        const upper = table.findIndex(row => row.cm >= cm);
+        if (upper === -1) return table[table.length - 1].liters;
+        
+        const a = upper === 0 ? { cm: 0, liters: 0 } : table[upper - 1];
+        const b = table[upper];
+        return b.cm === a.cm ? b.liters : a.liters + (b.liters - a.liters) * (cm - a.cm) / (b.cm - a.cm);
+    }
+    
+    /**
+     * Calibration table from text: one "cm;liters" pair per line (also tab or space separated)
+     */
+    parseTable(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [cm, liters] = line.split(/[;\t ]+/).map(v => parseFloat(v.replace(',', '.')));
+                return { cm, liters };
+            });
+    }
+    
+    formatTable(table) {
+        return (table || []).map(row => `${row.cm};${row.liters}`).join('\n');
+    }
+}
+
+export const tankShapes = new TankShapes();
+export default TankShapes;
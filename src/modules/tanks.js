@@ -0,0 +1,112 @@
+/**
+ * Tank Portfolio Module
+ * Combined view over several tanks/properties and joint order proposals
+ */
+
+import { CONFIG } from './config.js';
+import { consumptionAnalyzer } from './consumption.js';
+import { supplierPricing } from './pricing.js';
+import { regionRegistry } from './regions.js';
+
+class TankPortfolio {
+    constructor() {
+        this.summary = null;
+    }
+    
+    /**
+     * Status of one tank profile
+     */
+    describe(tank, now = new Date()) {
+        const hasData = tank.volume > 0 && tank.currentLevel !== null;
+        const projection = consumptionAnalyzer.project(tank.levelHistory || [], tank.volume, tank.currentLevel, now);
+        const step = CONFIG.scheduler.stepLiters;
+        const fillPercent = hasData ? (tank.currentLevel / tank.volume) * 100 : null;
+        
+        return {
+            id: tank.id,
+            name: tank.name,
+            property: tank.property || tank.name,
+            region: tank.region,
+            volume: tank.volume,
+            currentLevel: tank.currentLevel,
+            fillPercent,
+            litersPerDay: projection.litersPerDay,
+            weeksLeft: projection.weeksLeft,
+            freeLiters: hasData ? Math.floor((tank.volume - tank.currentLevel) / step) * step : 0,
+            due: hasData && fillPercent < CONFIG.thresholds.optimalFill
+        };
+    }
+    
+    /**
+     * Sum demand over all tanks and price joint orders per region
+     * @param {Array} tanks - Tank profiles from storage
+     * @param {Object} prices - Current market price per region id (€/L)
+     */
+    summarize(tanks, prices, now = new Date()) {
+        const described = tanks.map(t => this.describe(t, now));
+        const withData = described.filter(t => t.fillPercent !== null);
+        
+        this.summary = {
+            tanks: described,
+            totalVolume: withData.reduce((sum, t) => sum + t.volume, 0),
+            totalLevel: withData.reduce((sum, t) => sum + t.currentLevel, 0),
+            totalFree: withData.reduce((sum, t) => sum + t.freeLiters, 0),
+            litersPerDay: described.reduce((sum, t) => sum + (t.litersPerDay || 0), 0),
+            jointOrders: this.groupByRegion(described.filter(t => t.due && t.freeLiters > 0))
+                .map(group => this.priceJointOrder(group.regionId, group.tanks, prices[group.regionId]))
+                .filter(Boolean)
+        };
+        
+        return this.summary;
+    }
+    
+    /**
+     * Tanks in the same region share one price and can share one order
+     */
+    groupByRegion(tanks) {
+        const groups = new Map();
+        
+        tanks.forEach(t => {
+            if (!groups.has(t.region)) groups.set(t.region, []);
+            groups.get(t.region).push(t);
+        });
+        
+        return [...groups.entries()].map(([regionId, members]) => ({ regionId, tanks: members }));
+    }
+    
+    /**
+     * Compare one joint delivery with separate orders per tank
+     * Tanks at the same property count as a single drop.
+     */
+    priceJointOrder(regionId, tanks, price) {
+        if (!price || tanks.length < CONFIG.tanks.jointOrderMinTanks) return null;
+        
+        const liters = tanks.reduce((sum, t) => sum + t.freeLiters, 0);
+        const drops = new Set(tanks.map(t => t.property)).size;
+        const separate = tanks.map(t => ({ id: t.id, ...supplierPricing.quote(t.freeLiters, price) }));
+        const separateTotal = separate.reduce((sum, q) => sum + q.total, 0);
+        const joint = supplierPricing.quote(liters, price, supplierPricing.supplierId, drops);
+        const savings = separateTotal - joint.total;
+        
+        // Separate orders below the minimum quantity are not deliverable at all
+        const separateValid = separate.every(q => q.valid);
+        
+        return {
+            regionId,
+            regionName: regionRegistry.getRegion(regionId)?.name || regionId,
+            price,
+            tankIds: tanks.map(t => t.id),
+            liters,
+            drops,
+            joint,
+            separate,
+            separateTotal,
+            separateValid,
+            savings,
+            worthIt: joint.valid && (savings > 0 || !separateValid)
+        };
+    }
+}
+
+export const tankPortfolio = new TankPortfolio();
+export default TankPortfolio;
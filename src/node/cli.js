@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Heizöl-Optimizer CLI
+ * Forecast and purchase recommendation from a price file and a tank description,
+ * as a text table or JSON (e.g. for scripts/run_daily.sh)
+ *
+ *   node src/node/cli.js --tank tank.json
+ *   node src/node/cli.js --prices preise.csv --format csv --volume 3000 --level 900 --output json
+ */
+
+import { Console } from 'node:console';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { CONFIG } from '../modules/config.js';
+import { storage } from '../modules/storage.js';
+import { regionRegistry } from '../modules/regions.js';
+import { priceSources } from '../modules/price-sources.js';
+import { forecastEngine as defaultForecastEngine } from '../modules/forecast.js';
+import { supplierPricing } from '../modules/pricing.js';
+import { tankShapes } from '../modules/tank-shapes.js';
+import { createEngines, readTankFile, readTemperatureFile } from './runtime.js';
+
+// Engine messages go to stderr, stdout carries only the result
+const stderrLogger = new Console({ stdout: process.stderr });
+
+const OPTIONS = {
+    prices: { type: 'string' },
+    format: { type: 'string' },
+    unit: { type: 'string' },
+    net: { type: 'boolean', default: false },
+    country: { type: 'string' },
+    region: { type: 'string' },
+    market: { type: 'string' },
+    tank: { type: 'string' },
+    volume: { type: 'string' },
+    level: { type: 'string' },
+    'level-cm': { type: 'string' },
+    temperatures: { type: 'string' },
+    model: { type: 'string' },
+    supplier: { type: 'string' },
+    output: { type: 'string', default: 'table' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Heizöl-Optimizer – Prognose und Kaufempfehlung
+
+Aufruf: node src/node/cli.js [Optionen]
+
+Preise (ohne --prices: Dateien der Region aus config.js)
+  --prices <datei>      Preisdatei (JSON, CSV oder EU Oil Bulletin)
+  --format <format>     json | csv | oil-bulletin (Standard: nach Endung)
+  --unit <einheit>      EUR/L | EUR/1000L (Standard: EUR/L)
+  --net                 Preise ohne USt.
+  --country <code>      Land im Oil-Bulletin-Export, z.B. AT
+  --region <id>         Region, z.B. at-9 (Standard: Region des Tanks oder ${CONFIG.regions.default})
+  --market <datei>      Marktdaten für Vorlaufindikatoren (Standard: ${CONFIG.data.marketUrl}, falls vorhanden)
+
+Tank
+  --tank <datei>        Tank-Profil (JSON) oder Backup-Export der App (aktiver Tank)
+  --volume <liter>      Tank-Volumen (überschreibt --tank)
+  --level <liter>       Füllstand (überschreibt --tank)
+  --level-cm <cm>       Füllstand als Peilhöhe, umgerechnet mit der Tankform aus --tank
+  --temperatures <csv>  Tagesmitteltemperaturen einer Station (Datum;°C): Verbrauch nach Heizgradtagen
+
+Einstellungen
+  --model <id>          Prognosemodell: ${defaultForecastEngine.getModels().map(m => m.id).join(', ')}
+  --supplier <id>       Lieferant: ${supplierPricing.list().map(s => s.id).join(', ')}
+  --output <art>        table | json (Standard: table)
+  -h, --help            Diese Hilfe
+`;
+
+class HeizolCli {
+    /**
+     * Run with command line arguments
+     * @returns {number} Exit code: 0 ok, 1 error
+     */
+    async run(argv) {
+        let options;
+        try {
+            ({ values: options } = parseArgs({ args: argv, options: OPTIONS }));
+        } catch (error) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 1;
+        }
+        
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        
+        try {
+            const result = await this.evaluate(options);
+            process.stdout.write(options.output === 'json'
+                ? `${JSON.stringify(result, null, 2)}\n`
+                : this.formatTable(result));
+            return 0;
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return 1;
+        }
+    }
+    
+    /**
+     * Load prices and tank into a fresh state and read forecast and recommendation
+     */
+    async evaluate(options) {
+        if (!['table', 'json'].includes(options.output)) {
+            throw new Error(`Unbekannte Ausgabe „${options.output}“ (table | json)`);
+        }
+        
+        const tankFile = options.tank ? await readTankFile(options.tank) : { tank: {}, settings: {} };
+        const tank = {
+            ...tankFile.tank,
+            volume: options.volume !== undefined ? Number(options.volume) : tankFile.tank.volume ?? null,
+            currentLevel: options.level !== undefined ? Number(options.level) : tankFile.tank.currentLevel ?? null
+        };
+        
+        if (options['level-cm'] !== undefined) {
+            const converted = tankShapes.toLiters(tank.shape, Number(options['level-cm']), tank.volume);
+            if (!converted.valid) throw new Error(converted.errors.join(', '));
+            tank.currentLevel = converted.level;
+        }
+        
+        if (tank.volume !== null || tank.currentLevel !== null) {
+            const validation = storage.validateTankData(tank.volume, tank.currentLevel);
+            if (!validation.valid) throw new Error(validation.errors.join(', '));
+        }
+        
+        const settings = {
+            ...tankFile.settings,
+            ...(options.model && { forecastModel: this.checkChoice(options.model, defaultForecastEngine.getModels(), 'Prognosemodell') }),
+            ...(options.supplier && { supplier: this.checkChoice(options.supplier, supplierPricing.list(), 'Lieferant') })
+        };
+        
+        const { state, forecastEngine, dataService } = createEngines({ logger: stderrLogger });
+        state.update({
+            settings,
+            tankVolume: tank.volume,
+            tankLevel: tank.currentLevel,
+            levelHistory: tank.levelHistory || [],
+            temperatures: options.temperatures ? await readTemperatureFile(options.temperatures) : null
+        });
+        
+        if (options.prices) {
+            await this.loadPriceFile(state, options);
+        } else {
+            await this.loadRegion(dataService, state, options.region || tank.region || CONFIG.regions.default);
+        }
+        await this.loadMarketData(dataService, state, options.market);
+        
+        const priceData = state.get('priceData');
+        const forecast = forecastEngine.getChartData();
+        if (!forecast) throw new Error('Zu wenig Preisdaten für eine Prognose (mindestens 12 Monate)');
+        
+        return {
+            generatedAt: new Date().toISOString(),
+            region: state.get('region'),
+            source: priceData.metadata?.sourceInfo || null,
+            quality: priceData.metadata?.quality?.stats || null,
+            currentPrice: state.get('currentPrice'),
+            tank: {
+                name: tank.name || null,
+                volume: tank.volume,
+                level: tank.currentLevel,
+                fillPercent: state.get('fillPercent')
+            },
+            model: state.get('forecastModel'),
+            supplier: state.get('supplier'),
+            forecast,
+            recommendation: state.get('recommendation')
+        };
+    }
+    
+    checkChoice(id, choices, label) {
+        if (!choices.some(c => c.id === id)) {
+            throw new Error(`Unbekannte Auswahl „${id}“ für ${label} (${choices.map(c => c.id).join(', ')})`);
+        }
+        return id;
+    }
+    
+    /**
+     * A single price file given on the command line
+     */
+    async loadPriceFile(state, options) {
+        const extension = path.extname(options.prices).toLowerCase();
+        const source = {
+            url: options.prices,
+            label: path.basename(options.prices),
+            format: options.format || (extension === '.csv' ? 'csv' : 'json'),
+            unit: options.unit,
+            vatIncluded: !options.net,
+            country: options.country
+        };
+        
+        const data = priceSources.parse(await readFile(options.prices, 'utf8'), source);
+        state.update({
+            region: { id: null, name: source.label, sourceName: source.label },
+            priceData: data,
+            currentPrice: data.currentPrice || data.historical[data.historical.length - 1].price,
+            dataSource: 'network',
+            dataFetchedAt: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Region files from config.js, read from the project directory
+     * Synthetic fallback prices are refused: a cron job must not recommend on made-up data.
+     */
+    async loadRegion(dataService, state, regionId) {
+        if (!regionRegistry.setRegion(regionId)) {
+            throw new Error(`Unbekannte Region „${regionId}“`);
+        }
+        
+        await dataService.loadPriceData();
+        if (state.get('isFallback')) {
+            throw new Error(`Keine Preisdaten für ${regionRegistry.getRegion().name}: ${state.get('error')}`);
+        }
+    }
+    
+    /**
+     * Market data is optional: a given file must be readable, the default one may be missing
+     */
+    async loadMarketData(dataService, state, file) {
+        if (!file) {
+            await dataService.loadMarketData();
+            return;
+        }
+        
+        state.set('marketData', dataService.parseMarketHistory(JSON.parse(await readFile(file, 'utf8'))));
+    }
+    
+    /**
+     * Plain text report: prices, forecast per month, recommendation
+     */
+    formatTable(result) {
+        const { region, source, currentPrice, tank, forecast, recommendation } = result;
+        const price = (value) => value === null || value === undefined ? '--' : value.toFixed(3);
+        const month = (date) => date.slice(0, 7);
+        const lines = [];
+        
+        lines.push(`Heizöl-Optimizer – ${region?.name || 'Preisdatei'}`);
+        if (source) lines.push(`Quelle: ${source.label} (${priceSources.describe(source)})`);
+        lines.push(`Aktueller Preis: ${price(currentPrice)} €/L`);
+        if (tank.volume) lines.push(`Tank: ${tank.name ? `${tank.name}, ` : ''}${tank.level} von ${tank.volume} L (${tank.fillPercent}%)`);
+        lines.push('');
+        
+        lines.push(`Prognose (${result.model}, €/L)`);
+        lines.push(`${'Monat'.padEnd(9)}${'Erwartet'.padStart(10)}${'Best'.padStart(10)}${'Worst'.padStart(10)}`);
+        forecast.expected.forEach((point, i) => {
+            lines.push(`${month(point.x).padEnd(9)}${price(point.y).padStart(10)}` +
+                `${price(forecast.bestCase[i]?.y).padStart(10)}${price(forecast.worstCase[i]?.y).padStart(10)}`);
+        });
+        lines.push('');
+        
+        lines.push('Empfehlung');
+        if (recommendation.empty) {
+            lines.push(`  ${recommendation.message}`);
+        } else {
+            const width = Math.max(...recommendation.items.map(item => item.label.length));
+            recommendation.items.forEach(item => lines.push(`  ${item.label.padEnd(width)}  ${item.value}`));
+        }
+        
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+process.exitCode = await new HeizolCli().run(process.argv.slice(2));
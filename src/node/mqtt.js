@@ -0,0 +1,240 @@
+/**
+ * MQTT Subscriber (Node)
+ * Minimal MQTT 3.1.1 client for receiving sensor readings from a local broker:
+ * connect, subscribe (QoS 0), receive, keepalive and reconnect. Publishing is not needed.
+ */
+
+import net from 'node:net';
+import { EventEmitter } from 'node:events';
+import { CONFIG } from '../modules/config.js';
+
+export const PACKET = {
+    CONNECT: 1,
+    CONNACK: 2,
+    PUBLISH: 3,
+    PUBACK: 4,
+    SUBSCRIBE: 8,
+    SUBACK: 9,
+    PINGREQ: 12,
+    PINGRESP: 13,
+    DISCONNECT: 14
+};
+
+const CONNACK_ERRORS = {
+    1: 'Protokollversion abgelehnt',
+    2: 'Client-ID abgelehnt',
+    3: 'Broker nicht verfügbar',
+    4: 'Benutzername oder Passwort falsch',
+    5: 'Nicht berechtigt'
+};
+
+/**
+ * UTF-8 string with 2-byte length prefix
+ */
+export function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+/**
+ * Fixed header + body; remaining length as variable-length integer
+ */
+export function encodePacket(firstByte, body = Buffer.alloc(0)) {
+    const length = [];
+    let remaining = body.length;
+    
+    do {
+        let byte = remaining % 128;
+        remaining = Math.floor(remaining / 128);
+        if (remaining > 0) byte |= 0x80;
+        length.push(byte);
+    } while (remaining > 0);
+    
+    return Buffer.concat([Buffer.from([firstByte, ...length]), body]);
+}
+
+/**
+ * Emits 'connect', 'message' (topic, payload: Buffer), 'close' and 'error'
+ */
+export class MqttSubscriber extends EventEmitter {
+    /**
+     * @param {string} url - mqtt://[user:password@]host[:port]
+     * @param {Object} options - clientId, keepaliveSeconds, reconnectMs
+     */
+    constructor(url, { clientId = `heizoel-${process.pid}`, ...options } = {}) {
+        super();
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'mqtt:') throw new Error(`Nur mqtt:// wird unterstützt, nicht ${parsed.protocol}`);
+        
+        this.host = parsed.hostname;
+        this.port = Number(parsed.port) || 1883;
+        this.username = decodeURIComponent(parsed.username) || null;
+        this.password = decodeURIComponent(parsed.password) || null;
+        this.clientId = clientId;
+        this.keepaliveSeconds = options.keepaliveSeconds ?? CONFIG.sensors.mqtt.keepaliveSeconds;
+        this.reconnectMs = options.reconnectMs ?? CONFIG.sensors.mqtt.reconnectMs;
+        this.topics = new Set();
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.connected = false;
+        this.closed = false;
+        this.packetId = 0;
+        this.timers = { ping: null, reconnect: null };
+    }
+    
+    /**
+     * Open the connection; topics subscribed before or later are (re)subscribed on every connect
+     */
+    connect() {
+        this.closed = false;
+        this.buffer = Buffer.alloc(0);
+        this.socket = net.createConnection({ host: this.host, port: this.port });
+        
+        this.socket.on('connect', () => this.socket.write(this.connectPacket()));
+        this.socket.on('data', (chunk) => this.receive(chunk));
+        this.socket.on('error', (error) => this.emit('error', error));
+        this.socket.on('close', () => this.handleClose());
+        return this;
+    }
+    
+    subscribe(topic) {
+        this.topics.add(topic);
+        if (this.connected) this.sendSubscribe(topic);
+        return this;
+    }
+    
+    /**
+     * Disconnect for good (no reconnect)
+     */
+    end() {
+        this.closed = true;
+        clearInterval(this.timers.ping);
+        clearTimeout(this.timers.reconnect);
+        if (this.socket) this.socket.end(encodePacket(PACKET.DISCONNECT << 4));
+    }
+    
+    connectPacket() {
+        let flags = 0x02; // clean session
+        if (this.username) flags |= 0x80;
+        if (this.password) flags |= 0x40;
+        
+        const keepalive = Buffer.alloc(2);
+        keepalive.writeUInt16BE(this.keepaliveSeconds);
+        
+        return encodePacket(PACKET.CONNECT << 4, Buffer.concat([
+            encodeString('MQTT'),
+            Buffer.from([4, flags]),
+            keepalive,
+            encodeString(this.clientId),
+            ...(this.username ? [encodeString(this.username)] : []),
+            ...(this.password ? [encodeString(this.password)] : [])
+        ]));
+    }
+    
+    sendSubscribe(topic) {
+        this.packetId = this.packetId % 0xFFFF + 1;
+        const id = Buffer.alloc(2);
+        id.writeUInt16BE(this.packetId);
+        
+        this.socket.write(encodePacket((PACKET.SUBSCRIBE << 4) | 0x02, Buffer.concat([id, encodeString(topic), Buffer.from([0])])));
+    }
+    
+    /**
+     * Split the byte stream into packets (a chunk may hold several or only part of one)
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        while (this.buffer.length >= 2) {
+            let length = 0;
+            let multiplier = 1;
+            let offset = 1;
+            let byte;
+            
+            do {
+                // At most 4 length bytes; a 5th continuation byte means a broken or hostile stream
+                if (offset > 4) {
+                    this.protocolError('Paketlänge mit mehr als 4 Byte');
+                    return;
+                }
+                if (offset >= this.buffer.length) return;
+                byte = this.buffer[offset++];
+                length += (byte & 0x7F) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+            
+            if (this.buffer.length < offset + length) return;
+            
+            const header = this.buffer[0];
+            const body = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            
+            try {
+                this.handlePacket(header >> 4, header & 0x0F, body);
+            } catch (error) {
+                this.protocolError(error.message);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Report a broken packet and drop this connection (the reconnect starts clean)
+     */
+    protocolError(message) {
+        this.emit('error', new Error(`MQTT-Protokollfehler: ${message}`));
+        this.buffer = Buffer.alloc(0);
+        this.socket.destroy();
+    }
+    
+    handlePacket(type, flags, body) {
+        if (type === PACKET.CONNACK) {
+            const code = body[1];
+            if (code !== 0) {
+                this.emit('error', new Error(`MQTT-Verbindung abgelehnt: ${CONNACK_ERRORS[code] || code}`));
+                this.socket.destroy();
+                return;
+            }
+            
+            this.connected = true;
+            this.topics.forEach(topic => this.sendSubscribe(topic));
+            clearInterval(this.timers.ping);
+            this.timers.ping = setInterval(() => this.socket.write(encodePacket(PACKET.PINGREQ << 4)), this.keepaliveSeconds * 1000);
+            this.emit('connect');
+        } else if (type === PACKET.PUBLISH) {
+            const qos = (flags >> 1) & 0x03;
+            if (body.length < 2) throw new Error('PUBLISH ohne Topic');
+            
+            const topicLength = body.readUInt16BE(0);
+            if (2 + topicLength + (qos > 0 ? 2 : 0) > body.length) throw new Error('PUBLISH kürzer als sein Topic');
+            
+            const topic = body.subarray(2, 2 + topicLength).toString('utf8');
+            let offset = 2 + topicLength;
+            
+            // Subscribed with QoS 0; should a broker still deliver QoS 1, acknowledge it
+            if (qos > 0) {
+                const id = body.subarray(offset, offset + 2);
+                offset += 2;
+                if (qos === 1) this.socket.write(encodePacket(PACKET.PUBACK << 4, id));
+            }
+            
+            this.emit('message', topic, body.subarray(offset));
+        }
+    }
+    
+    handleClose() {
+        const wasConnected = this.connected;
+        this.connected = false;
+        clearInterval(this.timers.ping);
+        if (wasConnected) this.emit('close');
+        
+        if (!this.closed) {
+            clearTimeout(this.timers.reconnect);
+            this.timers.reconnect = setTimeout(() => this.connect(), this.reconnectMs);
+        }
+    }
+}
+
+export default MqttSubscriber;
@@ -0,0 +1,117 @@
+/**
+ * Node Runtime
+ * Runs the engines outside the browser: own state per run, price files read
+ * from disk instead of fetched relative to the page
+ */
+
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createState } from '../modules/state.js';
+import ForecastEngine from '../modules/forecast.js';
+import RecommendationEngine from '../modules/recommendation.js';
+import DataService from '../modules/data-service.js';
+import { tankShapes } from '../modules/tank-shapes.js';
+import { degreeDays } from '../modules/degree-days.js';
+
+// Project root: index.html, data/, src/
+export const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const BACKUP_FORMAT = 'heizoel-optimizer-backup';
+
+/**
+ * fetch(url, options) for DataService under Node
+ * Relative URLs are read from rootDir with Last-Modified / If-Modified-Since,
+ * so conditional reloads behave like over HTTP; absolute http(s) URLs use the real fetch.
+ * @param {string} rootDir - directory relative URLs are resolved against
+ */
+export function fileFetch(rootDir = PROJECT_ROOT) {
+    const root = path.resolve(rootDir);
+    
+    return async (url, options = {}) => {
+        if (/^https?:\/\//i.test(url)) return fetch(url, options);
+        
+        const file = path.resolve(root, decodeURIComponent(String(url).split(/[?#]/)[0]));
+        if (!file.startsWith(root + path.sep)) {
+            return new Response(null, { status: 403, statusText: 'Forbidden' });
+        }
+        
+        try {
+            const [body, info] = await Promise.all([readFile(file), stat(file)]);
+            const lastModified = info.mtime.toUTCString();
+            
+            if (options.headers?.['If-Modified-Since'] === lastModified) {
+                return new Response(null, { status: 304, statusText: 'Not Modified', headers: { 'Last-Modified': lastModified } });
+            }
+            
+            return new Response(body, { status: 200, statusText: 'OK', headers: { 'Last-Modified': lastModified } });
+        } catch (error) {
+            return new Response(null, { status: 404, statusText: 'Not Found' });
+        }
+    };
+}
+
+/**
+ * State with its own forecast, recommendation and data service
+ * @param {Object} options - rootDir for relative data URLs, values: initial state,
+ *                           logger for the engines' messages (console unless given)
+ * @returns {{ state, forecastEngine, recommendationEngine, dataService }}
+ */
+export function createEngines({ rootDir = PROJECT_ROOT, values = {}, logger = console } = {}) {
+    const store = createState(values);
+    const forecastEngine = new ForecastEngine(store, logger);
+    
+    return {
+        state: store,
+        forecastEngine,
+        recommendationEngine: new RecommendationEngine(store, forecastEngine),
+        dataService: new DataService(store, fileFetch(rootDir), logger)
+    };
+}
+
+/**
+ * Tank profile ({ volume, currentLevel, levelHistory, region }) or an app backup;
+ * from a backup the active tank and the settings are used
+ * @returns {{ tank: Object, settings: Object }}
+ */
+export async function readTankFile(file) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    let result = { tank: { ...data, currentLevel: data.currentLevel ?? data.level }, settings: {} };
+    
+    if (data.format === BACKUP_FORMAT) {
+        const tank = data.tanks?.find(t => t.id === data.activeTank) || data.tanks?.[0];
+        if (!tank) throw new Error(`${file}: Backup enthält keinen Tank`);
+        result = { tank, settings: data.settings || {} };
+    }
+    
+    if (result.tank.shape) {
+        const validation = tankShapes.validateShape(result.tank.shape);
+        if (!validation.valid) throw new Error(`${file}: ${validation.errors.join(', ')}`);
+    }
+    return result;
+}
+
+/**
+ * Daily mean temperatures (CSV) for the state key 'temperatures'; the station is named after the file
+ */
+export async function readTemperatureFile(file) {
+    const { days, errors } = degreeDays.parseTemperatures(await readFile(file, 'utf8'));
+    if (!days.length) throw new Error(`${file}: ${errors[0]}`);
+    if (errors.length) console.warn(`${file}: ${errors.length} Zeilen übersprungen (${errors[0]})`);
+    
+    return { station: path.basename(file, path.extname(file)), days };
+}
+
+/**
+ * Write a tank back to the file it was read from (a backup keeps its other tanks)
+ */
+export async function writeTankFile(file, tank) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    const { level, ...profile } = tank;
+    
+    const updated = data.format === BACKUP_FORMAT
+        ? { ...data, tanks: data.tanks.map(t => t.id === tank.id ? profile : t) }
+        : profile;
+    
+    await writeFile(file, `${JSON.stringify(updated, null, 2)}\n`);
+}
@@ -0,0 +1,520 @@
+#!/usr/bin/env node
+/**
+ * Heizöl-Optimizer Server
+ * Local HTTP API for home automation (e.g. a Home Assistant REST sensor)
+ * that also serves the static app, so one process covers both
+ *
+ *   node src/node/server.js --tank tank.json --port 8080
+ *
+ *   GET  /api/prices                           price data as loaded (historical, currentPrice, metadata)
+ *   GET  /api/forecast                         ForecastEngine.getChartData()
+ *   GET  /api/recommendation?volume=&level=    RecommendationEngine.calculate(), optionally for other values
+ *   POST /api/tank/readings  { level, date? }  new level reading in liters
+ *                            { heightCm, date? } or as dipstick height, converted with the tank shape
+ *   POST /api/sensors/readings { distance | height | percent | liters | value, date? }
+ *                                              raw level sensor value, converted with the tank's sensor config
+ *   GET  /api/sensors                          sensor status (last reading, stale)
+ *
+ * With --mqtt, sensor values are also read from a broker topic (same payloads).
+ */
+
+import http from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { CONFIG } from '../modules/config.js';
+import { storage } from '../modules/storage.js';
+import { regionRegistry } from '../modules/regions.js';
+import { modelRegistry } from '../modules/forecast-models.js';
+import { supplierPricing } from '../modules/pricing.js';
+import { tankSensors } from '../modules/sensors.js';
+import { tankShapes } from '../modules/tank-shapes.js';
+import { createEngines, readTankFile, readTemperatureFile, writeTankFile, PROJECT_ROOT } from './runtime.js';
+import { MqttSubscriber } from './mqtt.js';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// What the browser app loads; everything else in the project (scripts, tank files,
+// the Node code) stays private even when the server listens on the network
+const STATIC_FILES = ['index.html', 'sw.js', 'manifest.webmanifest', 'style.css', 'src/app.js'];
+const STATIC_DIRS = ['src/modules/', 'data/', 'icons/'];
+
+// Largest accepted request body (a reading is a few bytes)
+const MAX_BODY_BYTES = 16 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class ApiServer {
+    /**
+     * @param {Object} options - tankFile (profile or backup, readings are written back),
+     *                           region, settings ({ forecastModel, supplier }),
+     *                           temperatureFile (daily mean temperatures for degree days)
+     */
+    constructor({ tankFile = null, region = null, settings = {}, temperatureFile = null } = {}) {
+        this.tankFile = tankFile;
+        this.temperatureFile = temperatureFile;
+        this.region = region;
+        this.settings = settings;
+        this.tank = null;
+        this.saving = Promise.resolve();
+        this.staleTimer = null;
+        this.engines = createEngines();
+        
+        // Scratch state for ?volume=&level= - shares prices and forecast inputs,
+        // so only the recommendation is recalculated
+        this.preview = createEngines();
+        this.engines.state.subscribe(['priceData', 'currentPrice', 'marketData', 'settings', 'levelHistory', 'temperatures', 'today'], (values) => {
+            this.preview.state.update(values);
+        });
+        
+        this.routes = {
+            'GET /api/prices': () => this.getPrices(),
+            'GET /api/forecast': () => this.getForecast(),
+            'GET /api/recommendation': (request, url) => this.getRecommendation(url.searchParams),
+            'POST /api/tank/readings': (request) => this.addReading(request),
+            'POST /api/sensors/readings': async (request) => this.addSensorReading(await this.readBody(request)),
+            'GET /api/sensors': () => this.engines.state.get('sensorStatus')
+        };
+    }
+    
+    /**
+     * Load tank and prices, then listen
+     */
+    async start({ port = 8080, host = '127.0.0.1' } = {}) {
+        const tankFile = this.tankFile ? await readTankFile(this.tankFile) : { tank: null, settings: {} };
+        this.tank = tankFile.tank;
+        
+        const regionId = this.region || this.tank?.region || CONFIG.regions.default;
+        if (!regionRegistry.setRegion(regionId)) {
+            throw new Error(`Unbekannte Region „${regionId}“`);
+        }
+        
+        if (this.tank?.sensor) {
+            const validation = tankSensors.validateSensor(this.tank.sensor, this.tank.shape);
+            if (!validation.valid) throw new Error(`Sensor: ${validation.errors.join(', ')}`);
+        }
+        
+        this.engines.state.update({
+            settings: { ...tankFile.settings, ...this.settings },
+            tankVolume: this.tank?.volume ?? null,
+            tankLevel: this.tank?.currentLevel ?? null,
+            levelHistory: this.tank?.levelHistory || [],
+            sensorStatus: tankSensors.getStatus(this.tank),
+            temperatures: this.temperatureFile ? await readTemperatureFile(this.temperatureFile) : null
+        });
+        await this.refresh();
+        this.watchSensor();
+        
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        
+        console.log(`🛢️ Heizöl-Optimizer läuft auf http://${host}:${port}/ (API unter /api)`);
+        return this.server;
+    }
+    
+    stop() {
+        clearInterval(this.staleTimer);
+        this.mqtt?.end();
+        return new Promise(resolve => this.server ? this.server.close(resolve) : resolve());
+    }
+    
+    /**
+     * Receive sensor values from an MQTT topic (topic from the tank's sensor config by default)
+     */
+    connectMqtt(url, topic = this.tank?.sensor?.topic || CONFIG.sensors.mqtt.topic) {
+        if (!this.tank?.sensor) throw new Error('MQTT braucht einen Tank mit Sensor-Konfiguration (sensor)');
+        
+        this.mqtt = new MqttSubscriber(url)
+            .on('connect', () => console.log(`📡 MQTT verbunden, abonniert: ${topic}`))
+            .on('close', () => console.warn('📡 MQTT-Verbindung getrennt, neuer Versuch folgt'))
+            .on('error', (error) => console.warn('MQTT:', error.message))
+            .on('message', (messageTopic, payload) => {
+                this.addSensorReading(payload).catch(error => {
+                    console.warn(`Sensorwert von ${messageTopic} verworfen: ${error.message}`);
+                });
+            });
+        this.mqtt.subscribe(topic).connect();
+    }
+    
+    /**
+     * Re-check the sensor status regularly, so a silent sensor turns stale
+     */
+    watchSensor() {
+        if (!this.tank?.sensor) return;
+        
+        clearInterval(this.staleTimer);
+        this.staleTimer = setInterval(() => this.updateSensorStatus(), CONFIG.sensors.checkIntervalMs);
+        this.staleTimer.unref();
+    }
+    
+    updateSensorStatus() {
+        const status = tankSensors.getStatus(this.tank);
+        const previous = this.engines.state.get('sensorStatus');
+        
+        if (status.stale && !previous?.stale) {
+            console.warn(`⚠️ Füllstandssensor meldet sich nicht (letzter Wert: ${status.lastSeen || 'nie'})`);
+        }
+        this.engines.state.set('sensorStatus', status);
+        return status;
+    }
+    
+    /**
+     * Reload prices once the cache is older than CONFIG.data.refreshIntervalMs
+     * Unchanged files are not parsed again (If-Modified-Since).
+     */
+    async refresh() {
+        const { dataService } = this.engines;
+        dataService.updateDataAge();
+        if (dataService.isCacheValid()) return;
+        
+        await Promise.all([
+            dataService.loadPriceData(),
+            dataService.loadMarketData()
+        ]);
+    }
+    
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        
+        try {
+            if (!url.pathname.startsWith('/api/')) {
+                await this.serveStatic(request, response, url.pathname);
+                return;
+            }
+            
+            const route = this.routes[`${request.method} ${url.pathname}`];
+            if (!route) {
+                const known = Object.keys(this.routes).some(r => r.endsWith(` ${url.pathname}`));
+                throw new HttpError(known ? 405 : 404, known ? 'Methode nicht erlaubt' : 'Unbekannter Endpunkt');
+            }
+            
+            await this.refresh();
+            this.sendJSON(response, 200, await route(request, url));
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) console.error('Request failed:', error);
+            this.sendJSON(response, status, { error: error.message });
+        }
+    }
+    
+    /**
+     * Prices as loaded, with region and data status
+     */
+    getPrices() {
+        const { state } = this.engines;
+        const priceData = this.requirePrices();
+        
+        return {
+            ...priceData,
+            region: state.get('region'),
+            currentPrice: state.get('currentPrice'),
+            dataSource: state.get('dataSource'),
+            dataFetchedAt: state.get('dataFetchedAt'),
+            isFallback: state.get('isFallback')
+        };
+    }
+    
+    getForecast() {
+        this.requirePrices();
+        
+        const forecast = this.engines.forecastEngine.getChartData();
+        if (!forecast) throw new HttpError(503, 'Zu wenig Preisdaten für eine Prognose');
+        return forecast;
+    }
+    
+    /**
+     * Recommendation for the server's tank; volume/level in the query replace its values
+     * (the reading history is kept)
+     */
+    getRecommendation(params) {
+        this.requirePrices();
+        
+        if (!params.has('volume') && !params.has('level')) {
+            return this.toApi(this.engines.state.get('recommendation'));
+        }
+        
+        const volume = params.has('volume') ? this.queryNumber(params, 'volume') : this.engines.state.get('tankVolume');
+        const level = params.has('level') ? this.queryNumber(params, 'level') : this.engines.state.get('tankLevel');
+        this.validate(volume, level);
+        
+        this.preview.state.update({ tankVolume: volume, tankLevel: level });
+        return this.toApi(this.preview.state.get('recommendation'));
+    }
+    
+    /**
+     * Recommendation without the UI's display items; clients use the structured fields
+     */
+    toApi(recommendation) {
+        const { items, ...fields } = recommendation;
+        return fields;
+    }
+    
+    /**
+     * Numeric query parameter; empty (`?level=`) or non-numeric values are rejected
+     */
+    queryNumber(params, name) {
+        const text = params.get(name).trim();
+        const value = Number(text);
+        if (text === '' || !Number.isFinite(value)) throw new HttpError(400, `Ungültiger Wert für ${name}: „${params.get(name)}“`);
+        return value;
+    }
+    
+    /**
+     * Store a level reading: updates level, history and the tank file
+     */
+    async addReading(request) {
+        if (!this.tank) throw new HttpError(409, 'Kein Tank geladen (Server mit --tank starten)');
+        
+        const body = await this.readBody(request);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'Erwartet ein JSON-Objekt wie { "level": 850 }');
+        }
+        
+        const level = body.heightCm !== undefined ? this.heightToLiters(Number(body.heightCm)) : Number(body.level);
+        const date = body.date ? new Date(body.date) : new Date();
+        
+        if (isNaN(date.getTime())) throw new HttpError(400, `Ungültiges Datum „${body.date}“`);
+        this.validate(this.tank.volume, level);
+        
+        return this.storeTank((tank) => {
+            const levelHistory = storage.withReading(tank.levelHistory || [], level, date);
+            const latest = levelHistory[levelHistory.length - 1];
+            return { ...tank, currentLevel: latest.level, lastUpdate: latest.date, levelHistory };
+        });
+    }
+    
+    /**
+     * Dipstick height to liters with the tank's shape
+     */
+    heightToLiters(heightCm) {
+        const converted = tankShapes.toLiters(this.tank.shape, heightCm, this.tank.volume);
+        if (!converted.valid) throw new HttpError(400, converted.errors.join(', '));
+        return converted.level;
+    }
+    
+    /**
+     * Store a raw sensor value (HTTP body or MQTT payload)
+     */
+    async addSensorReading(payload) {
+        if (!this.tank?.sensor) throw new HttpError(409, 'Kein Tank mit Sensor-Konfiguration geladen');
+        
+        const reading = tankSensors.parseReading(payload, this.tank.sensor);
+        if (!reading) throw new HttpError(400, 'Kein gültiger Messwert (distance, height, percent, liters oder value)');
+        
+        let sensorLevel = null;
+        const stored = await this.storeTank((tank) => {
+            const result = tankSensors.applyReading(tank, reading);
+            if (!result.valid) throw new HttpError(422, result.errors.join(', '));
+            sensorLevel = result.level;
+            return result.tank;
+        });
+        
+        return { ...stored, sensorLevel };
+    }
+    
+    /**
+     * Apply `update(tank)` to the tank and write the result to the tank file
+     * Updates run one after another, each on the tank the previous one stored;
+     * memory and state only change once the file is written, and a failed
+     * write does not block the following ones.
+     */
+    async storeTank(update) {
+        const write = async () => {
+            const updated = update(this.tank);
+            
+            try {
+                await writeTankFile(this.tankFile, updated);
+            } catch (error) {
+                throw new HttpError(500, `Tank-Datei konnte nicht geschrieben werden: ${error.message}`);
+            }
+            
+            this.tank = updated;
+            this.engines.state.update({
+                tankLevel: updated.currentLevel,
+                levelHistory: updated.levelHistory,
+                sensorStatus: tankSensors.getStatus(updated)
+            });
+            return updated;
+        };
+        
+        this.saving = this.saving.catch(() => {}).then(write);
+        const tank = await this.saving;
+        
+        return {
+            tank: {
+                name: tank.name || null,
+                volume: tank.volume,
+                level: tank.currentLevel,
+                fillPercent: this.engines.state.get('fillPercent'),
+                lastUpdate: tank.lastUpdate,
+                readings: tank.levelHistory.length
+            },
+            sensor: this.engines.state.get('sensorStatus'),
+            recommendation: this.toApi(this.engines.state.get('recommendation'))
+        };
+    }
+    
+    requirePrices() {
+        const priceData = this.engines.state.get('priceData');
+        if (!priceData) throw new HttpError(503, 'Preisdaten noch nicht geladen');
+        return priceData;
+    }
+    
+    validate(volume, level) {
+        const validation = storage.validateTankData(volume, level);
+        if (!validation.valid) throw new HttpError(400, validation.errors.join(', '));
+    }
+    
+    async readBody(request) {
+        let size = 0;
+        const chunks = [];
+        
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Anfrage zu groß');
+            chunks.push(chunk);
+        }
+        
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        } catch (error) {
+            throw new HttpError(400, `Ungültiges JSON: ${error.message}`);
+        }
+    }
+    
+    sendJSON(response, status, data) {
+        response.writeHead(status, {
+            'Content-Type': CONTENT_TYPES['.json'],
+            'Cache-Control': 'no-store'
+        });
+        response.end(JSON.stringify(data));
+    }
+    
+    /**
+     * The app's files from the project directory (STATIC_FILES and STATIC_DIRS, no hidden files)
+     * Sends Last-Modified, so the app's conditional price requests get their 304.
+     */
+    async serveStatic(request, response, pathname) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            throw new HttpError(405, 'Methode nicht erlaubt');
+        }
+        
+        let relative;
+        try {
+            relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (error) {
+            throw new HttpError(400, 'Ungültiger Pfad');
+        }
+        
+        const file = path.resolve(PROJECT_ROOT, `.${relative}`);
+        const served = path.relative(PROJECT_ROOT, file).split(path.sep).join('/');
+        const allowed = STATIC_FILES.includes(served) || STATIC_DIRS.some(dir => served.startsWith(dir));
+        
+        if (!allowed || !file.startsWith(PROJECT_ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.'))) {
+            throw new HttpError(404, 'Nicht gefunden');
+        }
+        
+        const info = await stat(file).catch(() => null);
+        if (!info?.isFile()) throw new HttpError(404, 'Nicht gefunden');
+        
+        const lastModified = info.mtime.toUTCString();
+        const headers = {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Last-Modified': lastModified
+        };
+        
+        if (request.headers['if-modified-since'] === lastModified) {
+            response.writeHead(304, headers);
+            response.end();
+            return;
+        }
+        
+        response.writeHead(200, headers);
+        response.end(request.method === 'HEAD' ? undefined : await readFile(file));
+    }
+}
+
+const USAGE = `Heizöl-Optimizer – lokaler Server (App + JSON-API)
+
+Aufruf: node src/node/server.js [Optionen]
+  
+  --port <port>         Port (Standard: 8080)
+  --host <adresse>      Adresse (Standard: 127.0.0.1; 0.0.0.0 für das ganze Netz)
+  --tank <datei>        Tank-Profil oder Backup-Export; neue Ablesungen werden hineingeschrieben
+  --region <id>         Region (Standard: Region des Tanks oder ${CONFIG.regions.default})
+  --model <id>          Prognosemodell
+  --supplier <id>       Lieferant
+  --temperatures <csv>  Tagesmitteltemperaturen (Datum;°C) für den Verbrauch nach Heizgradtagen
+  --mqtt <url>          Sensorwerte von einem MQTT-Broker, z.B. mqtt://localhost:1883
+  --mqtt-topic <topic>  Topic (Standard: sensor.topic des Tanks oder ${CONFIG.sensors.mqtt.topic})
+  -h, --help            Diese Hilfe
+`;
+
+async function main(argv) {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string', default: '8080' },
+            host: { type: 'string', default: '127.0.0.1' },
+            tank: { type: 'string' },
+            region: { type: 'string' },
+            model: { type: 'string' },
+            supplier: { type: 'string' },
+            temperatures: { type: 'string' },
+            mqtt: { type: 'string' },
+            'mqtt-topic': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    
+    if (options.model && !modelRegistry.get(options.model)) {
+        throw new Error(`Unbekanntes Prognosemodell „${options.model}“`);
+    }
+    if (options.supplier && !supplierPricing.getSupplier(options.supplier)) {
+        throw new Error(`Unbekannter Lieferant „${options.supplier}“`);
+    }
+    
+    const server = new ApiServer({
+        tankFile: options.tank,
+        region: options.region,
+        temperatureFile: options.temperatures,
+        settings: {
+            ...(options.model && { forecastModel: options.model }),
+            ...(options.supplier && { supplier: options.supplier })
+        }
+    });
+    await server.start({ port: Number(options.port), host: options.host });
+    if (options.mqtt) server.connectMqtt(options.mqtt, options['mqtt-topic']);
+    
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,159 @@
+/**
+ * Service Worker
+ * Offline support: cached app shell, Chart.js and the last good price data
+ */
+
+const VERSION = 'v36';
+const SHELL_CACHE = `heizoel-shell-${VERSION}`;
+const DATA_CACHE = 'heizoel-data';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'src/app.js',
+    'src/modules/alerts.js',
+    'src/modules/backtest.js',
+    'src/modules/backup.js',
+    'src/modules/config.js',
+    'src/modules/consumption.js',
+    'src/modules/data-quality.js',
+    'src/modules/data-service.js',
+    'src/modules/degree-days.js',
+    'src/modules/forecast-models.js',
+    'src/modules/forecast.js',
+    'src/modules/indicators.js',
+    'src/modules/intervals.js',
+    'src/modules/price-sources.js',
+    'src/modules/pricing.js',
+    'src/modules/purchases.js',
+    'src/modules/recommendation.js',
+    'src/modules/refresh-scheduler.js',
+    'src/modules/regions.js',
+    'src/modules/resampling.js',
+    'src/modules/scheduler.js',
+    'src/modules/seasonality.js',
+    'src/modules/state.js',
+    'src/modules/storage.js',
+    'src/modules/tank-shapes.js',
+    'src/modules/tanks.js'
+];
+
+// Pinned versions, so they never change and can be served cache-first
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js'
+];
+
+// Added to data responses so the app can tell cached data and its age
+const FETCHED_AT_HEADER = 'X-Fetched-At';
+const FROM_CACHE_HEADER = 'X-From-Cache';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll([...SHELL_FILES, ...CDN_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('heizoel-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (CDN_FILES.includes(request.url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+        event.respondWith(networkFirstData(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Immutable files: cache, network only on a miss
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * App shell: always fresh when online, cached copy when offline
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Price data: keep the last good response with its fetch time,
+ * serve it marked as cached when the network fails
+ */
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    
+    try {
+        const response = await fetch(request);
+        if (!response.ok) return response;
+        
+        const headers = new Headers(response.headers);
+        headers.set(FETCHED_AT_HEADER, new Date().toISOString());
+        const body = await response.blob();
+        
+        await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+        return new Response(body, { status: response.status, statusText: response.statusText, headers });
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (!cached) throw error;
+        
+        const headers = new Headers(cached.headers);
+        headers.set(FROM_CACHE_HEADER, '1');
+        return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+/**
+ * Price alert notification: focus the open app or open it
+ */
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(windows => {
+            if (windows.length) return windows[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});